@@ -3,6 +3,8 @@ class TrackShipAPI {
     constructor() {
         this.baseURL = window.location.origin + '/api';
         this.token = localStorage.getItem('trackship_token');
+        this.refreshToken = localStorage.getItem('trackship_refresh_token');
+        this.refreshPromise = null;
     }
 
     // Set authentication token
@@ -15,6 +17,68 @@ class TrackShipAPI {
         }
     }
 
+    // Set refresh token used to renew the short-lived access token
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem('trackship_refresh_token', refreshToken);
+        } else {
+            localStorage.removeItem('trackship_refresh_token');
+        }
+    }
+
+    // Whether a 401 from this endpoint should trigger a token refresh
+    canRefreshFor(endpoint) {
+        return Boolean(this.refreshToken) &&
+            !['/auth/login', '/auth/register', '/auth/refresh', '/auth/reset-password', '/auth/otp/verify', '/auth/2fa/verify'].includes(endpoint);
+    }
+
+    // Renew the access token. Concurrent callers share one refresh request.
+    async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async performTokenRefresh() {
+        const usedToken = this.refreshToken;
+
+        try {
+            const response = await fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: usedToken })
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                this.setToken(data.token);
+                this.setRefreshToken(data.refreshToken);
+                return true;
+            }
+
+            // Another tab may have rotated the token first
+            const storedToken = localStorage.getItem('trackship_refresh_token');
+            if (storedToken && storedToken !== usedToken) {
+                this.token = localStorage.getItem('trackship_token');
+                this.refreshToken = storedToken;
+                return true;
+            }
+
+            if (response.status === 401) {
+                this.setToken(null);
+                this.setRefreshToken(null);
+            }
+            return false;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        }
+    }
+
     // Get authentication headers
     getHeaders(isMultipart = false) {
         const headers = {};
@@ -45,6 +109,13 @@ class TrackShipAPI {
 
         try {
             const response = await fetch(url, config);
+
+            // Access tokens are short-lived: refresh once and retry
+            if (response.status === 401 && !options.isRetry && this.canRefreshFor(endpoint) &&
+                await this.refreshAccessToken()) {
+                return this.request(endpoint, { ...options, isRetry: true });
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
@@ -58,6 +129,32 @@ class TrackShipAPI {
         }
     }
 
+    // Fetch a binary document such as a PDF and return it as a Blob.
+    // A 202 means the server queued the work instead, so its JSON body is returned.
+    async requestBlob(endpoint, isRetry = false) {
+        const response = await fetch(`${this.baseURL}${endpoint}`, {
+            headers: this.getHeaders()
+        });
+
+        if (response.status === 401 && !isRetry && this.canRefreshFor(endpoint) &&
+            await this.refreshAccessToken()) {
+            return this.requestBlob(endpoint, true);
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+            console.error('API Request Error:', error);
+            throw error;
+        }
+
+        if (response.status === 202) {
+            return response.json();
+        }
+
+        return response.blob();
+    }
+
     // Authentication methods
     async register(userData) {
         const response = await this.request('/auth/register', {
@@ -67,6 +164,7 @@ class TrackShipAPI {
         
         if (response.token) {
             this.setToken(response.token);
+            this.setRefreshToken(response.refreshToken);
         }
         
         return response;
@@ -80,11 +178,49 @@ class TrackShipAPI {
         
         if (response.token) {
             this.setToken(response.token);
+            this.setRefreshToken(response.refreshToken);
         }
         
         return response;
     }
 
+    async requestLoginOtp(phone) {
+        return this.request('/auth/otp/request', {
+            method: 'POST',
+            body: { phone }
+        });
+    }
+
+    async loginWithOtp(phone, code) {
+        const response = await this.request('/auth/otp/verify', {
+            method: 'POST',
+            body: { phone, code }
+        });
+
+        if (response.token) {
+            this.setToken(response.token);
+            this.setRefreshToken(response.refreshToken);
+        }
+
+        return response;
+    }
+
+    // Second login step when login() returned twoFactorRequired. Pass either an
+    // authenticator code or a recovery code.
+    async verify2faLogin(challengeToken, { code, recoveryCode } = {}) {
+        const response = await this.request('/auth/2fa/verify', {
+            method: 'POST',
+            body: { challengeToken, code, recoveryCode }
+        });
+
+        if (response.token) {
+            this.setToken(response.token);
+            this.setRefreshToken(response.refreshToken);
+        }
+
+        return response;
+    }
+
     async logout() {
         try {
             await this.request('/auth/logout', { method: 'POST' });
@@ -92,6 +228,7 @@ class TrackShipAPI {
             console.error('Logout error:', error);
         } finally {
             this.setToken(null);
+            this.setRefreshToken(null);
         }
     }
 
@@ -106,6 +243,14 @@ class TrackShipAPI {
         });
     }
 
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(sessionId) {
+        return this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    }
+
     async changePassword(currentPassword, newPassword) {
         return this.request('/auth/change-password', {
             method: 'POST',
@@ -113,11 +258,168 @@ class TrackShipAPI {
         });
     }
 
+    async requestPhoneVerification() {
+        return this.request('/auth/phone/verification', { method: 'POST' });
+    }
+
+    async verifyPhone(code) {
+        return this.request('/auth/phone/verify', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    async get2faStatus() {
+        return this.request('/auth/2fa');
+    }
+
+    async setup2fa() {
+        return this.request('/auth/2fa/setup', {
+            method: 'POST'
+        });
+    }
+
+    async enable2fa(code) {
+        return this.request('/auth/2fa/enable', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    async disable2fa(password) {
+        return this.request('/auth/2fa/disable', {
+            method: 'POST',
+            body: { password }
+        });
+    }
+
+    async regenerateRecoveryCodes(code) {
+        return this.request('/auth/2fa/recovery-codes', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    async forgotPassword(email) {
+        return this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: { email }
+        });
+    }
+
+    async resetPassword(token, password) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: { token, password }
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: { token }
+        });
+    }
+
+    async resendVerificationEmail(email) {
+        return this.request('/auth/resend-verification', {
+            method: 'POST',
+            body: { email }
+        });
+    }
+
     // Shipment methods
     async trackShipment(trackingNumber) {
         return this.request(`/shipments/track/${trackingNumber}`);
     }
 
+    // Subscribe to live tracking updates over Server-Sent Events.
+    // handlers: { onSnapshot(data), onEvent(data), onError(error) }
+    // Returns a function that closes the subscription.
+    subscribeToTracking(trackingNumber, handlers = {}) {
+        const url = `${this.baseURL}/shipments/track/${trackingNumber}/stream`;
+        const controller = new AbortController();
+        let closed = false;
+
+        // fetch is used instead of EventSource so the Authorization header is sent
+        const connect = async () => {
+            try {
+                const response = await fetch(url, {
+                    headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+
+                    buffer += decoder.decode(value, { stream: true });
+                    const messages = buffer.split('\n\n');
+                    buffer = messages.pop();
+
+                    messages.forEach(message => {
+                        const { event, data } = this.parseStreamMessage(message);
+                        if (event === 'snapshot' && handlers.onSnapshot) {
+                            handlers.onSnapshot(data);
+                        } else if (event === 'tracking' && handlers.onEvent) {
+                            handlers.onEvent(data);
+                        }
+                    });
+                }
+            } catch (error) {
+                if (closed) return;
+                if (handlers.onError) handlers.onError(error);
+
+                // Client errors (bad or unknown tracking number) will not fix themselves
+                if (error.status >= 400 && error.status < 500) {
+                    closed = true;
+                    return;
+                }
+            }
+
+            // Reconnect after the server closes the stream or the network drops
+            if (!closed) {
+                setTimeout(connect, 3000);
+            }
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            controller.abort();
+        };
+    }
+
+    parseStreamMessage(message) {
+        let event = 'message';
+        const dataLines = [];
+
+        message.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        return {
+            event,
+            data: dataLines.length ? JSON.parse(dataLines.join('\n')) : null
+        };
+    }
+
     async createShipment(shipmentData) {
         return this.request('/shipments', {
             method: 'POST',
@@ -125,6 +427,27 @@ class TrackShipAPI {
         });
     }
 
+    // Accepts a CSV File/Blob or an array of shipment objects
+    async bulkCreateShipments(shipments, { dryRun = false } = {}) {
+        const endpoint = `/shipments/bulk${dryRun ? '?dryRun=true' : ''}`;
+
+        if (Array.isArray(shipments)) {
+            return this.request(endpoint, {
+                method: 'POST',
+                body: { shipments }
+            });
+        }
+
+        const formData = new FormData();
+        formData.append('file', shipments);
+
+        return this.request(endpoint, {
+            method: 'POST',
+            body: formData,
+            isMultipart: true
+        });
+    }
+
     async getMyShipments(page = 1, limit = 10, status = null) {
         let query = `?page=${page}&limit=${limit}`;
         if (status) {
@@ -133,6 +456,58 @@ class TrackShipAPI {
         return this.request(`/shipments/my${query}`);
     }
 
+    // filters: any /shipments/search query parameter, e.g. { status: 'In Transit', delayed: true, cursor }
+    async searchShipments(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+        return this.request(`/shipments/search?${params.toString()}`);
+    }
+
+    // Export shipments matching search filters. Resolves to a Blob for small exports,
+    // or to { job } when the export was queued; poll getExportJob until it completes.
+    async exportShipments(filters = {}, { format = 'csv', columns, background = false } = {}) {
+        const params = new URLSearchParams({ format });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+        if (columns) params.append('columns', columns.join(','));
+        if (background) params.append('mode', 'background');
+        return this.requestBlob(`/shipments/export?${params.toString()}`);
+    }
+
+    // filters: { reason: 'overdue' | 'stalled', status: 'open' | 'resolved' | 'all', serviceType, page, limit }
+    async getSlaBreaches(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+        return this.request(`/shipments/sla-breaches?${params.toString()}`);
+    }
+
+    async getExportColumns() {
+        return this.request('/shipments/export/columns');
+    }
+
+    async getExports() {
+        return this.request('/shipments/exports');
+    }
+
+    async getExportJob(jobId) {
+        return this.request(`/shipments/exports/${jobId}`);
+    }
+
+    async downloadExport(jobId) {
+        return this.requestBlob(`/shipments/exports/${jobId}/download`);
+    }
+
     async addTrackingEvent(shipmentId, eventData) {
         return this.request(`/shipments/${shipmentId}/tracking`, {
             method: 'PUT',
@@ -140,15 +515,174 @@ class TrackShipAPI {
         });
     }
 
+    // Mark a shipment delivered with proof of delivery.
+    // photo and signature are File/Blob objects; signature is required for requiresSignature packages
+    // and otp for COD, high-value and opted-in shipments.
+    async markDelivered(shipmentId, { location, description, recipientName, photo, signature, otp }) {
+        const formData = new FormData();
+        formData.append('status', 'Delivered');
+        formData.append('location', location);
+        formData.append('description', description || 'Package delivered');
+        formData.append('recipientName', recipientName);
+        if (photo) formData.append('photo', photo);
+        if (signature) formData.append('signature', signature);
+        if (otp) formData.append('otp', otp);
+
+        return this.request(`/shipments/${shipmentId}/tracking`, {
+            method: 'PUT',
+            body: formData,
+            isMultipart: true
+        });
+    }
+
+    async getProofOfDelivery(shipmentId) {
+        return this.request(`/shipments/${shipmentId}/pod`);
+    }
+
+    // size is '4x6' (thermal label) or 'a4'
+    async getShippingLabel(shipmentId, size = '4x6') {
+        return this.requestBlob(`/shipments/${shipmentId}/label?size=${size}`);
+    }
+
+    async getInvoice(shipmentId) {
+        return this.requestBlob(`/shipments/${shipmentId}/invoice`);
+    }
+
+    async recordFailedAttempt(shipmentId, attemptData) {
+        return this.request(`/shipments/${shipmentId}/attempts`, {
+            method: 'POST',
+            body: attemptData
+        });
+    }
+
+    async cancelShipment(shipmentId, reason = null) {
+        return this.request(`/shipments/${shipmentId}/cancel`, {
+            method: 'POST',
+            body: reason ? { reason } : {}
+        });
+    }
+
+    async rescheduleShipment(shipmentId, deliveryDate, reason = null) {
+        return this.request(`/shipments/${shipmentId}/reschedule`, {
+            method: 'POST',
+            body: reason ? { deliveryDate, reason } : { deliveryDate }
+        });
+    }
+
+    async assignShipment(shipmentId, agentId) {
+        return this.request(`/shipments/${shipmentId}/assign`, {
+            method: 'PUT',
+            body: { agentId }
+        });
+    }
+
+    async bulkAssignShipments(agentId, criteria) {
+        return this.request('/shipments/assign/bulk', {
+            method: 'POST',
+            body: { agentId, ...criteria }
+        });
+    }
+
+    async getMyRunSheet(date = null) {
+        let query = date ? `?date=${date}` : '';
+        return this.request(`/agents/me/shipments${query}`);
+    }
+
     async getDashboardStats() {
         return this.request('/shipments/dashboard/stats');
     }
 
+    // filters: { from, to, interval: 'day' | 'week' | 'month', serviceType }
+    async getDashboardAnalytics(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+        return this.request(`/shipments/dashboard/analytics?${params.toString()}`);
+    }
+
     async getSampleData(trackingNumber = null) {
         let query = trackingNumber ? `?trackingNumber=${trackingNumber}` : '';
         return this.request(`/shipments/sample-data${query}`);
     }
 
+    // Rate methods
+    async getQuote(quoteData) {
+        return this.request('/rates/quote', {
+            method: 'POST',
+            body: quoteData
+        });
+    }
+
+    // Pincode methods
+    async checkServiceability(pincode) {
+        return this.request(`/pincodes/${pincode}/serviceability`);
+    }
+
+    // Webhook methods
+    async getWebhooks() {
+        return this.request('/webhooks');
+    }
+
+    async createWebhook(url, events, description = null) {
+        return this.request('/webhooks', {
+            method: 'POST',
+            body: description ? { url, events, description } : { url, events }
+        });
+    }
+
+    async updateWebhook(webhookId, updates) {
+        return this.request(`/webhooks/${webhookId}`, {
+            method: 'PUT',
+            body: updates
+        });
+    }
+
+    async deleteWebhook(webhookId) {
+        return this.request(`/webhooks/${webhookId}`, { method: 'DELETE' });
+    }
+
+    async pingWebhook(webhookId) {
+        return this.request(`/webhooks/${webhookId}/ping`, { method: 'POST' });
+    }
+
+    async getWebhookDeliveries(webhookId, page = 1, limit = 20, status = null) {
+        let query = `?page=${page}&limit=${limit}`;
+        if (status) {
+            query += `&status=${status}`;
+        }
+        return this.request(`/webhooks/${webhookId}/deliveries${query}`);
+    }
+
+    async replayWebhookDelivery(webhookId, deliveryId) {
+        return this.request(`/webhooks/${webhookId}/deliveries/${deliveryId}/replay`, { method: 'POST' });
+    }
+
+    // API key methods
+    async getApiKeys() {
+        return this.request('/api-keys');
+    }
+
+    async createApiKey(keyData) {
+        return this.request('/api-keys', {
+            method: 'POST',
+            body: keyData
+        });
+    }
+
+    async updateApiKey(keyId, updates) {
+        return this.request(`/api-keys/${keyId}`, {
+            method: 'PUT',
+            body: updates
+        });
+    }
+
+    async revokeApiKey(keyId) {
+        return this.request(`/api-keys/${keyId}`, { method: 'DELETE' });
+    }
+
     // Utility methods
     isAuthenticated() {
         return !!this.token;
@@ -7,6 +7,7 @@ db = db.getSiblingDB('logistics-tracker');
 // Create collections and initial indexes
 db.createCollection('users');
 db.createCollection('shipments');
+db.createCollection('pincodes');
 
 // Create indexes for better performance
 db.users.createIndex({ "email": 1 }, { unique: true });
@@ -21,6 +22,10 @@ db.shipments.createIndex({ "createdAt": -1 });
 db.shipments.createIndex({ "service.estimatedDelivery": 1 });
 db.shipments.createIndex({ "createdBy": 1 });
 
+db.pincodes.createIndex({ "pincode": 1 }, { unique: true });
+db.pincodes.createIndex({ "hub": 1 });
+db.pincodes.createIndex({ "state": 1 });
+
 // Create a sample admin user (optional)
 db.users.insertOne({
     fullName: "Admin User",
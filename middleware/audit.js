@@ -0,0 +1,88 @@
+const AuditLog = require('../models/AuditLog');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof Date) && !value._bsontype;
+
+// Flatten { address: { city: 'Pune' } } into { 'address.city': 'Pune' }
+const flatten = (value, prefix = '', out = {}) => {
+    Object.entries(value || {}).forEach(([key, entry]) => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(entry)) {
+            flatten(entry, field, out);
+        } else {
+            out[field] = entry;
+        }
+    });
+    return out;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level differences between two plain snapshots
+const diffChanges = (before, after) => {
+    if (!before && !after) return [];
+
+    const previous = flatten(before);
+    const next = flatten(after);
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+    return fields
+        .filter(field => !sameValue(previous[field], next[field]))
+        .map(field => ({ field, before: previous[field], after: next[field] }));
+};
+
+// Plain copy of selected (possibly dotted) fields of a document, for before/after snapshots
+const snapshot = (doc, fields) => {
+    const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+    return Object.fromEntries(fields.map(field => [
+        field,
+        field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source)
+    ]));
+};
+
+// Let a handler describe what it did: actor (when req.user isn't set),
+// resourceId, before/after snapshots and any extra metadata
+const setAuditContext = (res, context) => {
+    res.locals.audit = { ...res.locals.audit, ...context };
+};
+
+// Route middleware that writes an audit entry once the response has been sent.
+// Failed requests are only recorded when recordFailures is set (e.g. logins),
+// or when the handler sets recordFailure in its audit context.
+const audit = (action, { resourceType, recordFailures = false } = {}) => (req, res, next) => {
+    res.on('finish', () => {
+        const context = res.locals.audit || {};
+        const outcome = res.statusCode < 400 ? 'success' : 'failure';
+        if (outcome === 'failure' && !recordFailures && !context.recordFailure) return;
+
+        const actor = context.actor || (req.user && req.user._id);
+        // Account actions without an ID in the URL are about the actor's own account
+        const resourceId = context.resourceId || req.params.id || (resourceType === 'user' ? actor : undefined);
+
+        AuditLog.create({
+            action,
+            outcome,
+            actor,
+            actorRole: req.user ? req.user.role : context.actorRole,
+            apiKey: req.apiKey && req.apiKey._id,
+            resourceType,
+            resourceId: resourceId && resourceId.toString(),
+            changes: diffChanges(context.before, context.after),
+            metadata: context.metadata,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            method: req.method,
+            path: req.baseUrl + req.path,
+            statusCode: res.statusCode
+        }).catch(error => console.error('Audit log error:', error));
+    });
+
+    next();
+};
+
+module.exports = {
+    audit,
+    setAuditContext,
+    snapshot,
+    diffChanges
+};
@@ -1,9 +1,103 @@
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../services/sessions');
 
-// Middleware to verify JWT token
+const API_KEY_HEADER = 'x-api-key';
+
+// Per-key limits, counted in memory by each server instance
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.apiKey.rateLimit,
+    keyGenerator: (req) => req.apiKey._id.toString(),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many requests',
+        message: 'API key rate limit exceeded, please slow down'
+    }
+});
+
+// Look up the API key sent with a request, once per request
+const resolveApiKey = (req) => {
+    if (!req.apiKeyLookup) {
+        const key = req.headers[API_KEY_HEADER];
+        req.apiKeyLookup = key ? ApiKey.findActiveByKey(key) : Promise.resolve(null);
+    }
+    return req.apiKeyLookup;
+};
+
+// Routes that accept API keys declare the scope a key needs. Keys are
+// rejected everywhere else, so account and key management stay login-only.
+const allowApiKey = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+};
+
+// Whether a request carries a key with the scope its route declared. Those
+// requests get the per-key limit when they authenticate, not the IP limit.
+const hasScopedApiKey = async (req) => {
+    if (!req.apiKeyScope || !req.headers[API_KEY_HEADER]) return false;
+
+    const apiKey = await resolveApiKey(req);
+    return Boolean(apiKey && apiKey.hasScope(req.apiKeyScope));
+};
+
+// Routes a user must reach to enrol in two-factor authentication while their
+// role requires it. Every other route is closed to them until they do.
+const allowWithoutTwoFactor = (req, res, next) => {
+    req.allowWithoutTwoFactor = true;
+    next();
+};
+
+const missingTwoFactor = (user) => user.requiresTwoFactor() && !user.twoFactor.enabled;
+
+const twoFactorSetupRequired = (res) => res.status(403).json({
+    error: 'Two-factor authentication required',
+    message: 'Your role requires two-factor authentication. Please set it up to continue.',
+    twoFactorSetupRequired: true
+});
+
+// Authenticate as the owner of the request's API key and apply its rate limit
+const authenticateApiKey = async (req, res, next) => {
+    const apiKey = await resolveApiKey(req);
+    const user = apiKey && await User.findById(apiKey.user);
+
+    if (!apiKey || !user || !user.isActive) {
+        return res.status(401).json({
+            error: 'Invalid API key',
+            message: 'The API key is invalid, expired or revoked'
+        });
+    }
+
+    if (!req.apiKeyScope || !apiKey.hasScope(req.apiKeyScope)) {
+        return res.status(403).json({
+            error: 'Access forbidden',
+            message: req.apiKeyScope
+                ? `This API key does not have the ${req.apiKeyScope} scope`
+                : 'API keys cannot be used for this endpoint'
+        });
+    }
+
+    // Keys made before the owner's role required two-factor stop working until they enrol
+    if (missingTwoFactor(user)) {
+        return twoFactorSetupRequired(res);
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    apiKey.touch(req.ip).catch(error => console.error('API key usage update error:', error));
+
+    apiKeyLimiter(req, res, next);
+};
+
+// Middleware to verify JWT token (or an X-API-Key on routes that allow keys)
 const authenticateToken = async (req, res, next) => {
     try {
+        if (req.headers[API_KEY_HEADER]) {
+            return await authenticateApiKey(req, res, next);
+        }
+
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -14,11 +108,11 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Verify token and the session it belongs to
+        const { userId, session } = await verifyAccessToken(token);
         
         // Get user from database
-        const user = await User.findById(decoded.userId);
+        const user = await User.findById(userId);
         
         if (!user || !user.isActive) {
             return res.status(401).json({ 
@@ -27,8 +121,13 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Add user to request object
+        if (missingTwoFactor(user) && !req.allowWithoutTwoFactor) {
+            return twoFactorSetupRequired(res);
+        }
+
+        // Add user and session to request object
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -41,6 +140,11 @@ const authenticateToken = async (req, res, next) => {
                 error: 'Invalid token', 
                 message: 'Please log in again' 
             });
+        } else if (error.name === 'SessionExpired') {
+            return res.status(401).json({ 
+                error: 'Session expired', 
+                message: 'Please log in again' 
+            });
         }
         
         console.error('Auth middleware error:', error);
@@ -76,15 +180,35 @@ const requireAgent = (req, res, next) => {
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
     try {
+        // A valid key with the route's scope is used; anything else is ignored
+        if (req.headers[API_KEY_HEADER]) {
+            const apiKey = await resolveApiKey(req);
+            const user = apiKey && req.apiKeyScope && apiKey.hasScope(req.apiKeyScope) &&
+                await User.findById(apiKey.user);
+
+            if (user && user.isActive) {
+                if (missingTwoFactor(user)) {
+                    return twoFactorSetupRequired(res);
+                }
+
+                req.user = user;
+                req.apiKey = apiKey;
+                apiKey.touch(req.ip).catch(error => console.error('API key usage update error:', error));
+                return apiKeyLimiter(req, res, next);
+            }
+            return next();
+        }
+
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1];
 
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId);
+            const { userId, session } = await verifyAccessToken(token);
+            const user = await User.findById(userId);
             
-            if (user && user.isActive) {
+            if (user && user.isActive && (!missingTwoFactor(user) || req.allowWithoutTwoFactor)) {
                 req.user = user;
+                req.authSession = session;
             }
         }
         next();
@@ -98,5 +222,8 @@ module.exports = {
     authenticateToken,
     requireAdmin,
     requireAgent,
-    optionalAuth
+    optionalAuth,
+    allowApiKey,
+    allowWithoutTwoFactor,
+    hasScopedApiKey
 };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// What each scope lets a key do
+const API_KEY_SCOPES = {
+    'tracking:read': 'Track shipments, list own shipments and read proof of delivery',
+    'shipments:create': 'Create shipments (single or bulk) and download labels and invoices',
+    'webhooks:manage': 'Manage webhook endpoints and their deliveries'
+};
+
+const KEY_PREFIX = 'tsk_';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60; // requests per minute
+const LAST_USED_PRECISION = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Key name is required'],
+        trim: true,
+        maxlength: [100, 'Key name cannot exceed 100 characters']
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    // Keys are random and high-entropy, so a plain SHA-256 is enough to look them up safely
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: Object.keys(API_KEY_SCOPES)
+        }],
+        validate: [scopes => scopes.length > 0, 'Grant at least one scope']
+    },
+    rateLimit: {
+        type: Number,
+        min: [1, 'Rate limit must be at least 1 request per minute'],
+        max: [1000, 'Rate limit cannot exceed 1000 requests per minute'],
+        default: DEFAULT_RATE_LIMIT
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.keyHash;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Record usage, at most once a minute to keep writes down on busy keys
+apiKeySchema.methods.touch = function(ip) {
+    const now = new Date();
+    if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_PRECISION) {
+        return Promise.resolve();
+    }
+
+    this.lastUsedAt = now;
+    this.lastUsedIp = ip;
+    return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: ip });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+// Generate a new key for a user. The plain key is returned once and never stored.
+apiKeySchema.statics.issue = async function({ user, name, scopes, rateLimit, expiresAt }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await this.create({
+        user,
+        name,
+        scopes: [...new Set(scopes)],
+        rateLimit,
+        expiresAt,
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: hashKey(key)
+    });
+
+    return { apiKey, key };
+};
+
+// Revoke every active key of a user, e.g. when the account may have been
+// taken over. Resolves to the number of keys revoked.
+apiKeySchema.statics.revokeAllForUser = async function(userId) {
+    const result = await this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+    return result.modifiedCount;
+};
+
+// Find a key that is neither revoked nor expired
+apiKeySchema.statics.findActiveByKey = function(key) {
+    return this.findOne({
+        keyHash: hashKey(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a sensitive action. Actions are dotted names such as
+// "auth.login", "shipment.tracking" or "user.role-change".
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure'],
+        default: 'success'
+    },
+    // Who did it: a signed-in user, or the owner of the API key used
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: String,
+    apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    resourceType: String,
+    resourceId: String,
+    // Field-level before/after values, e.g. { field: 'role', before: 'user', after: 'agent' }
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    statusCode: Number
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+
+// Entries are never changed or removed through the application
+const rejectChange = function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+auditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
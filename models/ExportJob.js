@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A shipment export too large to stream in the request. The worker writes the
+// file to storage and the owner downloads it until it expires.
+const exportJobSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'xlsx'],
+        required: true
+    },
+    columns: {
+        type: [String],
+        required: true
+    },
+    // Validated search parameters; the filter is rebuilt for the user when the job runs
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: Date,
+    rowCount: Number,
+    fileKey: String,
+    fileSize: Number,
+    lastError: String,
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date
+}, {
+    timestamps: true
+});
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ user: 1, createdAt: -1 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
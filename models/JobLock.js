@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Leases for scheduled jobs that must run on only one server replica at a
+// time. A lease expires on its own, so a crashed replica can't hold it forever.
+const jobLockSchema = new mongoose.Schema({
+    _id: String,
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Take or renew the lease on a job. Resolves to true when this owner holds it.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+    const now = new Date();
+
+    try {
+        await this.findOneAndUpdate(
+            { _id: name, $or: [{ lockedUntil: { $lt: now } }, { owner }] },
+            { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Another replica holds the lease, so the upsert collided with its document
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Give up the lease early
+jobLockSchema.statics.release = function(name, owner) {
+    return this.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date(0) } });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
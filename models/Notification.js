@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment'
+    },
+    channel: {
+        type: String,
+        required: true,
+        enum: ['email', 'sms']
+    },
+    template: {
+        type: String,
+        required: true
+    },
+    language: {
+        type: String,
+        default: 'en'
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    subject: String,
+    body: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ shipment: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
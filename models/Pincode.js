@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const pincodeSchema = new mongoose.Schema({
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        unique: true,
+        match: [/^[0-9]{6}$/, 'Please provide a valid 6-digit pincode']
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required'],
+        trim: true
+    },
+    district: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        required: [true, 'State is required'],
+        trim: true
+    },
+    zone: {
+        type: String,
+        required: [true, 'Zone is required'],
+        enum: ['North', 'South', 'East', 'West', 'Central', 'North-East']
+    },
+    hub: {
+        type: String,
+        required: [true, 'Hub code is required'],
+        uppercase: true,
+        trim: true
+    },
+    serviceTypes: [{
+        type: String,
+        enum: ['hyperlocal', 'same-day', 'next-day', 'standard', 'economy', 'express']
+    }],
+    codAllowed: {
+        type: Boolean,
+        default: false
+    },
+    isRemote: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+pincodeSchema.index({ hub: 1 });
+pincodeSchema.index({ state: 1 });
+
+// Method to check whether a service type can be delivered to this pincode
+pincodeSchema.methods.supportsService = function(serviceType) {
+    return this.isActive && this.serviceTypes.includes(serviceType);
+};
+
+// Static method to find an active pincode entry
+pincodeSchema.statics.findServiceable = function(pincode) {
+    return this.findOne({ pincode, isActive: true });
+};
+
+const Pincode = mongoose.model('Pincode', pincodeSchema);
+
+module.exports = Pincode;
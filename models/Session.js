@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session ID, and the session's
+// refresh token is rotated on every use.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // The token replaced by the last rotation, kept to detect reuse
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+    rotatedAt: Date,
+    userAgent: String,
+    device: String,
+    ip: String,
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'password-change', 'token-reuse', 'admin']
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.refreshTokenHash;
+            delete ret.previousTokenHash;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Let MongoDB clear out sessions a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
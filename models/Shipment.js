@@ -1,10 +1,45 @@
 const mongoose = require('mongoose');
+const shipmentEvents = require('../services/shipmentEvents');
+const { generateNumericCode, hashCode, compareCode } = require('../utils/otp');
+
+const SHIPMENT_STATUSES = ['Order Placed', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Cancelled', 'Exception'];
+
+// Statuses a shipment may move to from each status. Delivered, Returned and
+// Cancelled are terminal; only an admin override can move a shipment out of them.
+const STATUS_TRANSITIONS = {
+    'Order Placed': ['Order Placed', 'In Transit', 'Cancelled', 'Exception'],
+    'In Transit': ['In Transit', 'Out for Delivery', 'Returned', 'Exception'],
+    'Out for Delivery': ['In Transit', 'Delivered', 'Exception'],
+    'Delivered': [],
+    'Returned': [],
+    'Cancelled': [],
+    'Exception': ['In Transit', 'Out for Delivery', 'Returned', 'Cancelled', 'Exception']
+};
+
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+const DELIVERY_OTP_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const DELIVERY_OTP_MAX_ATTEMPTS = 5;
+const HIGH_VALUE_OTP_THRESHOLD = parseInt(process.env.HIGH_VALUE_OTP_THRESHOLD) || 10000; // INR
+
+// Reason codes an agent can record for a failed delivery attempt
+const FAILED_ATTEMPT_REASONS = {
+    'customer-unavailable': 'Customer not available',
+    'address-not-found': 'Address could not be located',
+    'incomplete-address': 'Address incomplete or incorrect',
+    'refused': 'Delivery refused by recipient',
+    'premises-closed': 'Premises closed',
+    'payment-not-ready': 'Cash on delivery amount not ready',
+    'customer-requested-later': 'Recipient requested a later delivery',
+    'unsafe-to-deliver': 'Unable to reach the address safely',
+    'other': 'Delivery could not be completed'
+};
 
 const trackingEventSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['Order Placed', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Cancelled', 'Exception']
+        enum: SHIPMENT_STATUSES
     },
     location: {
         type: String,
@@ -26,6 +61,19 @@ const trackingEventSchema = new mongoose.Schema({
         name: String,
         id: String,
         contact: String
+    },
+    override: {
+        previousStatus: String,
+        reason: String
+    },
+    reasonCode: {
+        type: String,
+        enum: Object.keys(FAILED_ATTEMPT_REASONS)
+    },
+    // Set on the Exception event the SLA monitor adds for a breach
+    slaBreach: {
+        type: String,
+        enum: ['overdue', 'stalled']
     }
 });
 
@@ -126,6 +174,10 @@ const shipmentSchema = new mongoose.Schema({
         requiresSignature: {
             type: Boolean,
             default: false
+        },
+        requiresDeliveryOtp: {
+            type: Boolean,
+            default: false
         }
     },
     service: {
@@ -152,11 +204,25 @@ const shipmentSchema = new mongoose.Schema({
             isInsured: { type: Boolean, default: false },
             coverage: { type: Number, default: 0 },
             premium: { type: Number, default: 0 }
+        },
+        zone: {
+            type: String,
+            enum: ['local', 'regional', 'zonal', 'national', 'special']
+        },
+        chargeableWeight: Number,
+        costBreakdown: {
+            baseCharge: Number,
+            weightCharge: Number,
+            fragileSurcharge: Number,
+            insurancePremium: Number,
+            subtotal: Number,
+            gst: Number,
+            gstRate: Number
         }
     },
     currentStatus: {
         type: String,
-        enum: ['Order Placed', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Cancelled', 'Exception'],
+        enum: SHIPMENT_STATUSES,
         default: 'Order Placed'
     },
     progress: {
@@ -179,7 +245,41 @@ const shipmentSchema = new mongoose.Schema({
     deliveryAttempts: {
         type: Number,
         default: 0,
-        max: 3
+        max: MAX_DELIVERY_ATTEMPTS
+    },
+    returnToOrigin: {
+        initiatedAt: Date,
+        reason: String
+    },
+    proofOfDelivery: {
+        recipientName: String,
+        photo: {
+            key: String,
+            contentType: String,
+            size: Number
+        },
+        signature: {
+            key: String,
+            contentType: String,
+            size: Number
+        },
+        capturedAt: Date,
+        capturedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    deliveryOtp: {
+        codeHash: String,
+        generatedAt: Date,
+        expiresAt: Date,
+        attempts: { type: Number, default: 0 },
+        verifiedAt: Date,
+        failures: [{
+            at: { type: Date, default: Date.now },
+            agentId: String,
+            ip: String
+        }]
     },
     specialInstructions: String,
     internalNotes: String,
@@ -187,6 +287,7 @@ const shipmentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    assignedAt: Date,
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -199,10 +300,48 @@ const shipmentSchema = new mongoose.Schema({
     deliveredAt: Date,
     returnedAt: Date,
     cancelledAt: Date,
-    cancellationReason: String
+    cancellationReason: String,
+    rescheduledAt: Date,
+    // Set by the SLA monitor when an open shipment is past its estimated
+    // delivery or has gone too long without a tracking event
+    slaBreach: {
+        reason: {
+            type: String,
+            enum: ['overdue', 'stalled']
+        },
+        detectedAt: Date,
+        notifiedAt: Date,
+        resolvedAt: Date
+    },
+    // Predicted delivery from historical transit times, refreshed on every
+    // tracking event. Unlike service.estimatedDelivery this is not a commitment.
+    eta: {
+        expected: Date,
+        earliest: Date,
+        latest: Date,
+        confidence: {
+            type: String,
+            enum: ['low', 'medium', 'high']
+        },
+        basis: {
+            type: String,
+            enum: ['lane', 'zone', 'service-standard']
+        },
+        sampleSize: Number,
+        updatedAt: Date
+    }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            if (ret.deliveryOtp) {
+                delete ret.deliveryOtp.codeHash;
+                delete ret.deliveryOtp.failures;
+            }
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
@@ -238,6 +377,14 @@ shipmentSchema.index({ currentStatus: 1 });
 shipmentSchema.index({ createdAt: -1 });
 shipmentSchema.index({ 'service.estimatedDelivery': 1 });
 shipmentSchema.index({ createdBy: 1 });
+shipmentSchema.index({ assignedAgent: 1, currentStatus: 1 });
+shipmentSchema.index({ 'sender.phone': 1 });
+shipmentSchema.index({ 'recipient.phone': 1 });
+shipmentSchema.index({ 'recipient.address.pincode': 1 });
+shipmentSchema.index({ currentStatus: 1, 'service.estimatedDelivery': 1 });
+shipmentSchema.index({ 'slaBreach.resolvedAt': 1, 'slaBreach.detectedAt': -1 });
+shipmentSchema.index({ 'service.type': 1, currentStatus: 1, deliveredAt: -1 });
+shipmentSchema.index({ currentStatus: 1, 'eta.updatedAt': 1 });
 
 // Pre-save middleware to generate tracking number
 shipmentSchema.pre('save', async function(next) {
@@ -283,8 +430,138 @@ shipmentSchema.pre('save', function(next) {
     next();
 });
 
-// Method to add tracking event
+// Pre-save middleware to close an open SLA breach once the shipment is back on
+// track: finished, scanned again after a stall, or rescheduled into the future
+shipmentSchema.pre('save', function(next) {
+    const breach = this.slaBreach;
+    
+    if (breach && breach.detectedAt && !breach.resolvedAt) {
+        const lastEvent = this.tracking[this.tracking.length - 1];
+        const finished = STATUS_TRANSITIONS[this.currentStatus].length === 0;
+        const scanned = breach.reason === 'stalled' && lastEvent && lastEvent.timestamp > breach.detectedAt;
+        const rescheduled = breach.reason === 'overdue' && this.service.estimatedDelivery > new Date();
+        
+        if (finished || scanned || rescheduled) {
+            breach.resolvedAt = new Date();
+        }
+    }
+    
+    next();
+});
+
+// Method to check whether the shipment may move to a status
+shipmentSchema.methods.canTransitionTo = function(status) {
+    return STATUS_TRANSITIONS[this.currentStatus].includes(status);
+};
+
+// Method to check whether a user may update this shipment:
+// admins may update any shipment, agents only those assigned to them
+shipmentSchema.methods.isUpdatableBy = function(user) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'agent' || !this.assignedAgent) return false;
+    
+    // assignedAgent may be populated
+    const agentId = this.assignedAgent._id || this.assignedAgent;
+    return agentId.toString() === user._id.toString();
+};
+
+// Method to check whether a user may view this shipment's private details:
+// staff see everything, customers see shipments they created, send or receive
+shipmentSchema.methods.isVisibleTo = function(user) {
+    if (['admin', 'agent'].includes(user.role)) return true;
+    
+    const creatorId = this.createdBy._id || this.createdBy;
+    return creatorId.toString() === user._id.toString() ||
+        this.sender.email === user.email ||
+        this.recipient.email === user.email;
+};
+
+// Method to check whether delivery must be confirmed with a recipient OTP
+shipmentSchema.methods.requiresDeliveryOtp = function() {
+    return this.paymentMethod === 'cod' ||
+        this.package.value >= HIGH_VALUE_OTP_THRESHOLD ||
+        this.package.requiresDeliveryOtp;
+};
+
+// Method to issue a fresh delivery OTP. Returns the plain code for the
+// notifier; only its hash is stored. The caller saves the shipment.
+shipmentSchema.methods.issueDeliveryOtp = function() {
+    const code = generateNumericCode(6);
+    const now = new Date();
+    
+    this.deliveryOtp.codeHash = hashCode(code);
+    this.deliveryOtp.generatedAt = now;
+    this.deliveryOtp.expiresAt = new Date(now.getTime() + DELIVERY_OTP_TTL);
+    this.deliveryOtp.attempts = 0;
+    this.deliveryOtp.verifiedAt = undefined;
+    
+    return code;
+};
+
+// Method to check a delivery OTP. Resolves to 'verified', 'invalid', 'expired'
+// or 'locked'. Every attempt is counted with a conditional update, so parallel
+// guesses cannot get past the limit; failures are recorded there too. The
+// caller saves the shipment to keep a successful verification.
+shipmentSchema.methods.verifyDeliveryOtp = async function(code, context = {}) {
+    const otp = this.deliveryOtp;
+    
+    if (otp.attempts >= DELIVERY_OTP_MAX_ATTEMPTS) {
+        return 'locked';
+    }
+    if (!otp.expiresAt || otp.expiresAt < new Date()) {
+        return 'expired';
+    }
+    
+    const matches = compareCode(code, otp.codeHash);
+    const update = { $inc: { 'deliveryOtp.attempts': 1 } };
+    if (!matches) {
+        update.$push = { 'deliveryOtp.failures': { at: new Date(), agentId: context.agentId, ip: context.ip } };
+    }
+    
+    // No match means the limit was reached, or the code was reissued, meanwhile
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'deliveryOtp.codeHash': otp.codeHash, 'deliveryOtp.attempts': { $lt: DELIVERY_OTP_MAX_ATTEMPTS } },
+        update,
+        { new: true, projection: { 'deliveryOtp.attempts': 1 } }
+    );
+    if (!updated) {
+        return 'locked';
+    }
+    
+    // Already stored; keep the caller's save from overwriting the counter
+    otp.attempts = updated.deliveryOtp.attempts;
+    this.unmarkModified('deliveryOtp.attempts');
+    
+    if (!matches) {
+        return otp.attempts >= DELIVERY_OTP_MAX_ATTEMPTS ? 'locked' : 'invalid';
+    }
+    
+    otp.verifiedAt = new Date();
+    return 'verified';
+};
+
+// Method to add tracking event. Illegal status transitions are rejected unless
+// the event carries an override with a reason (admin only, enforced by the route).
 shipmentSchema.methods.addTrackingEvent = function(eventData) {
+    const isOverride = !!(eventData.override && eventData.override.reason);
+    
+    if (eventData.status && !isOverride && !this.canTransitionTo(eventData.status)) {
+        const error = new Error(`Cannot change status from '${this.currentStatus}' to '${eventData.status}'`);
+        error.name = 'InvalidStatusTransition';
+        error.status = 409;
+        error.allowedStatuses = STATUS_TRANSITIONS[this.currentStatus];
+        return Promise.reject(error);
+    }
+    
+    if (isOverride) {
+        eventData = {
+            ...eventData,
+            override: { ...eventData.override, previousStatus: this.currentStatus }
+        };
+    }
+    
+    const previousStatus = this.currentStatus;
+    
     this.tracking.push({
         ...eventData,
         timestamp: eventData.timestamp || new Date()
@@ -305,22 +582,53 @@ shipmentSchema.methods.addTrackingEvent = function(eventData) {
         this.cancellationReason = eventData.description;
     }
     
-    return this.save();
+    const event = this.tracking[this.tracking.length - 1];
+    
+    return this.save().then((shipment) => {
+        // Notify live subscribers once the event is persisted
+        shipmentEvents.emit('tracking', { shipment, event, previousStatus });
+        return shipment;
+    });
 };
 
 // Method to increment delivery attempts
-shipmentSchema.methods.incrementDeliveryAttempts = function() {
+// Records a failed attempt as an Exception event, schedules a next-day
+// re-attempt and starts a return to origin after the final attempt.
+// attemptData: { reasonCode, location, note, agent }
+shipmentSchema.methods.incrementDeliveryAttempts = function(attemptData = {}) {
+    const reasonCode = attemptData.reasonCode || 'other';
+    const now = new Date();
+    
     this.deliveryAttempts += 1;
     
-    if (this.deliveryAttempts >= 3) {
-        this.addTrackingEvent({
-            status: 'Exception',
-            location: 'Delivery Center',
-            description: 'Maximum delivery attempts reached. Package being returned to sender.',
-        });
+    let description = `Delivery attempt ${this.deliveryAttempts} failed: ${FAILED_ATTEMPT_REASONS[reasonCode]}.`;
+    
+    if (this.deliveryAttempts >= MAX_DELIVERY_ATTEMPTS) {
+        this.returnToOrigin = {
+            initiatedAt: now,
+            reason: FAILED_ATTEMPT_REASONS[reasonCode]
+        };
+        description += ' Maximum delivery attempts reached. Package being returned to sender.';
+    } else {
+        const reattempt = new Date(now);
+        reattempt.setDate(reattempt.getDate() + 1);
+        reattempt.setHours(18, 0, 0, 0);
+        this.service.estimatedDelivery = reattempt;
+        description += ` Re-attempt scheduled for ${reattempt.toDateString()}.`;
+    }
+    
+    if (attemptData.note) {
+        description += ` ${attemptData.note}`;
     }
     
-    return this.save();
+    return this.addTrackingEvent({
+        status: 'Exception',
+        location: attemptData.location || 'Delivery Center',
+        description,
+        reasonCode,
+        timestamp: now,
+        agent: attemptData.agent
+    });
 };
 
 // Static method to find shipments by user
@@ -346,4 +654,11 @@ shipmentSchema.statics.findByTrackingNumber = function(trackingNumber) {
 
 const Shipment = mongoose.model('Shipment', shipmentSchema);
 
+Shipment.STATUSES = SHIPMENT_STATUSES;
+Shipment.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Shipment.OPEN_STATUSES = SHIPMENT_STATUSES.filter(status => STATUS_TRANSITIONS[status].length > 0);
+Shipment.FAILED_ATTEMPT_REASONS = FAILED_ATTEMPT_REASONS;
+Shipment.MAX_DELIVERY_ATTEMPTS = MAX_DELIVERY_ATTEMPTS;
+Shipment.DELIVERY_OTP_MAX_ATTEMPTS = DELIVERY_OTP_MAX_ATTEMPTS;
+
 module.exports = Shipment;
@@ -1,5 +1,32 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateNumericCode, hashCode, compareCode } = require('../utils/otp');
+const totp = require('../utils/totp');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PHONE_OTP_TTL = 5 * 60 * 1000; // 5 minutes
+const PHONE_OTP_RESEND_COOLDOWN = 60 * 1000;
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+const PHONE_OTP_SEND_WINDOW = 60 * 60 * 1000;
+const PHONE_OTP_MAX_SENDS = 5; // per send window
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours, as for password logins
+
+// Roles that must use two-factor authentication, e.g. TWO_FACTOR_REQUIRED_ROLES="admin,agent".
+// Optional for everyone by default, so staff aren't locked out until they have enrolled.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Account tokens are random, so they are stored as plain SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
 
 const userSchema = new mongoose.Schema({
     fullName: {
@@ -85,10 +112,62 @@ const userSchema = new mongoose.Schema({
     },
     lockUntil: Date,
     lastLogin: Date,
+    // Set by an admin; login is refused until the password is reset
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
     resetPasswordToken: String,
     resetPasswordExpires: Date,
     emailVerificationToken: String,
-    emailVerificationExpires: Date
+    emailVerificationExpires: Date,
+    phoneOtp: {
+        codeHash: String,
+        purpose: {
+            type: String,
+            enum: ['login', 'verify']
+        },
+        expiresAt: Date,
+        attempts: { type: Number, default: 0 },
+        lastSentAt: Date,
+        sendWindowStart: Date,
+        sendCount: { type: Number, default: 0 }
+    },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret awaiting confirmation during enrollment
+        pendingSecret: { type: String, select: false },
+        recoveryCodes: { type: [String], select: false },
+        // Last accepted TOTP time step, so a code can't be replayed
+        lastUsedStep: Number,
+        failedAttempts: { type: Number, default: 0 },
+        lockUntil: Date,
+        enabledAt: Date
+    },
+    // Changes made to the account by admins, oldest first
+    adminHistory: {
+        type: [{
+            action: {
+                type: String,
+                enum: ['role-change', 'deactivate', 'reactivate', 'unlock', 'force-password-reset'],
+                required: true
+            },
+            performedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            from: String,
+            to: String,
+            reason: String,
+            timestamp: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
+    }
 }, {
     timestamps: true,
     toJSON: { 
@@ -98,6 +177,14 @@ const userSchema = new mongoose.Schema({
             delete ret.resetPasswordExpires;
             delete ret.emailVerificationToken;
             delete ret.emailVerificationExpires;
+            delete ret.phoneOtp;
+            delete ret.adminHistory;
+            if (ret.twoFactor) {
+                delete ret.twoFactor.secret;
+                delete ret.twoFactor.pendingSecret;
+                delete ret.twoFactor.recoveryCodes;
+                delete ret.twoFactor.lastUsedStep;
+            }
             delete ret.__v;
             return ret;
         }
@@ -202,12 +289,232 @@ userSchema.statics.findByCredentials = async function(email, password) {
         await user.resetLoginAttempts();
     }
     
+    if (user.passwordResetRequired) {
+        throw new Error('Password reset required');
+    }
+    
     // Update last login
     await user.updateLastLogin();
     
     return user;
 };
 
+// Method to record an admin change to the account (caller saves)
+userSchema.methods.recordAdminAction = function(action, admin, { from, to, reason } = {}) {
+    this.adminHistory.push({
+        action,
+        performedBy: admin._id,
+        from,
+        to,
+        reason
+    });
+};
+
+// Method to start a password reset; returns the plain token for the email (caller saves)
+userSchema.methods.createPasswordResetToken = function() {
+    const token = generateToken();
+    this.resetPasswordToken = hashToken(token);
+    this.resetPasswordExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+    return token;
+};
+
+// Method to start email verification; returns the plain token for the email (caller saves)
+userSchema.methods.createEmailVerificationToken = function() {
+    const token = generateToken();
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+    return token;
+};
+
+// When the current reset or verification token was issued, used to throttle resends
+userSchema.methods.tokenIssuedAt = function(kind) {
+    const expires = kind === 'reset' ? this.resetPasswordExpires : this.emailVerificationExpires;
+    const ttl = kind === 'reset' ? PASSWORD_RESET_TTL : EMAIL_VERIFICATION_TTL;
+    return expires ? new Date(expires.getTime() - ttl) : null;
+};
+
+// Seconds until another phone OTP may be sent, or 0 if one can be sent now
+userSchema.methods.phoneOtpRetryAfter = function() {
+    const otp = this.phoneOtp || {};
+    const now = Date.now();
+
+    if (otp.lastSentAt && now - otp.lastSentAt < PHONE_OTP_RESEND_COOLDOWN) {
+        return Math.ceil((PHONE_OTP_RESEND_COOLDOWN - (now - otp.lastSentAt)) / 1000);
+    }
+    if (otp.sendWindowStart && now - otp.sendWindowStart < PHONE_OTP_SEND_WINDOW && otp.sendCount >= PHONE_OTP_MAX_SENDS) {
+        return Math.ceil((PHONE_OTP_SEND_WINDOW - (now - otp.sendWindowStart)) / 1000);
+    }
+    return 0;
+};
+
+// Method to issue a phone OTP for login or verification; returns the code (caller saves)
+userSchema.methods.issuePhoneOtp = function(purpose) {
+    const code = generateNumericCode(6);
+    const now = new Date();
+    const otp = this.phoneOtp || {};
+    const inWindow = otp.sendWindowStart && now - otp.sendWindowStart < PHONE_OTP_SEND_WINDOW;
+
+    this.phoneOtp = {
+        codeHash: hashCode(code),
+        purpose,
+        expiresAt: new Date(now.getTime() + PHONE_OTP_TTL),
+        attempts: 0,
+        lastSentAt: now,
+        sendWindowStart: inWindow ? otp.sendWindowStart : now,
+        sendCount: inWindow ? otp.sendCount + 1 : 1
+    };
+
+    return code;
+};
+
+// Method to check a phone OTP. Returns 'verified', 'invalid', 'expired' or
+// 'locked'. A verified code is used up and proves the phone number; the
+// caller saves either way.
+userSchema.methods.verifyPhoneOtp = function(code, purpose) {
+    const otp = this.phoneOtp;
+
+    if (!otp || !otp.codeHash || otp.purpose !== purpose || !otp.expiresAt || otp.expiresAt < new Date()) {
+        return 'expired';
+    }
+    if (otp.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+        return 'locked';
+    }
+
+    if (!compareCode(code, otp.codeHash)) {
+        otp.attempts += 1;
+        return otp.attempts >= PHONE_OTP_MAX_ATTEMPTS ? 'locked' : 'invalid';
+    }
+
+    otp.codeHash = undefined;
+    otp.expiresAt = undefined;
+    this.isPhoneVerified = true;
+    return 'verified';
+};
+
+// Method to check whether the user's role requires two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+userSchema.methods.isTwoFactorLocked = function() {
+    return !!(this.twoFactor.lockUntil && this.twoFactor.lockUntil > Date.now());
+};
+
+// Method to check a TOTP code against the active secret (or the pending one
+// during enrollment). Needs the secrets selected. The step is recorded with a
+// conditional update, so a code is accepted once even by parallel requests.
+userSchema.methods.verifyTotp = async function(code, { pending = false } = {}) {
+    const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+    if (!secret) return false;
+
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return false;
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    // Already stored; keep a later save from writing an older value back
+    this.twoFactor.lastUsedStep = step;
+    this.unmarkModified('twoFactor.lastUsedStep');
+    return true;
+};
+
+// Method to use up a recovery code. It is pulled with a conditional update,
+// so parallel requests can't both use it.
+userSchema.methods.useRecoveryCode = async function(code) {
+    const normalized = normalizeRecoveryCode(code);
+    const codes = this.twoFactor.recoveryCodes || [];
+    const hash = normalized && codes.find(stored => compareCode(normalized, stored));
+
+    if (!hash) return false;
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    this.twoFactor.recoveryCodes = codes.filter(stored => stored !== hash);
+    this.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+};
+
+// Method to replace the recovery codes; returns the plain codes to show once (caller saves)
+userSchema.methods.generateRecoveryCodes = function() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map(code => hashCode(normalizeRecoveryCode(code)));
+    return codes;
+};
+
+// Methods to track failed second-factor attempts, like incLoginAttempts but
+// not reset by a correct password
+userSchema.methods.incTwoFactorAttempts = function() {
+    if (this.twoFactor.lockUntil && this.twoFactor.lockUntil < Date.now()) {
+        return this.updateOne({
+            $unset: { 'twoFactor.lockUntil': 1 },
+            $set: { 'twoFactor.failedAttempts': 1 }
+        });
+    }
+
+    const updates = { $inc: { 'twoFactor.failedAttempts': 1 } };
+    if (this.twoFactor.failedAttempts + 1 >= TWO_FACTOR_MAX_ATTEMPTS && !this.isTwoFactorLocked()) {
+        updates.$set = { 'twoFactor.lockUntil': Date.now() + TWO_FACTOR_LOCK_TIME };
+    }
+    return this.updateOne(updates);
+};
+
+userSchema.methods.resetTwoFactorAttempts = function() {
+    return this.updateOne({
+        $set: { 'twoFactor.failedAttempts': 0 },
+        $unset: { 'twoFactor.lockUntil': 1 }
+    });
+};
+
+// Static method to load a user together with their two-factor secrets
+userSchema.statics.findWithTwoFactorSecrets = function(id) {
+    return this.findById(id).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+};
+
+// Static methods to use up an account token. The token is cleared atomically,
+// so each one works only once even under concurrent requests.
+userSchema.statics.consumeResetToken = function(token) {
+    return this.findOneAndUpdate(
+        {
+            resetPasswordToken: hashToken(token),
+            resetPasswordExpires: { $gt: new Date() },
+            isActive: true
+        },
+        { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+        { new: true }
+    );
+};
+
+userSchema.statics.consumeEmailVerificationToken = function(token) {
+    return this.findOneAndUpdate(
+        {
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() },
+            isActive: true
+        },
+        {
+            $set: { isEmailVerified: true },
+            $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+        },
+        { new: true }
+    );
+};
+
 const User = mongoose.model('User', userSchema);
 
+User.PHONE_OTP_TTL = PHONE_OTP_TTL;
+User.PHONE_OTP_RESEND_COOLDOWN = PHONE_OTP_RESEND_COOLDOWN;
+User.PHONE_OTP_MAX_ATTEMPTS = PHONE_OTP_MAX_ATTEMPTS;
+
 module.exports = User;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    endpoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: Date,
+    responseStatus: Number,
+    responseBody: String,
+    durationMs: Number,
+    lastError: String,
+    deliveredAt: Date,
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['shipment.created', 'shipment.status_changed', 'shipment.delivered', 'shipment.exception'];
+
+const webhookEndpointSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: [events => events.length > 0, 'Subscribe to at least one event']
+    },
+    // Shared secret for HMAC signatures; needed in plain text to sign payloads
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['succeeded', 'failed']
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.secret;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+webhookEndpointSchema.index({ user: 1, isActive: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+WebhookEndpoint.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Shipment = require('../models/Shipment');
+const { authenticateToken, requireAgent } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PRIORITY_RANK = {
+    'urgent': 0,
+    'high': 1,
+    'normal': 2,
+    'low': 3
+};
+
+// @route   GET /api/agents/me/shipments
+// @desc    Get the signed-in agent's run sheet for a day, ordered by priority and delivery window
+// @access  Private (Agent/Admin)
+router.get('/me/shipments', authenticateToken, requireAgent, [
+    query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const day = req.query.date ? new Date(req.query.date) : new Date();
+        const endOfDay = new Date(day);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        // Everything due by the end of the day, including overdue work
+        const shipments = await Shipment.find({
+            assignedAgent: req.user._id,
+            currentStatus: { $in: Shipment.OPEN_STATUSES },
+            'service.estimatedDelivery': { $lte: endOfDay },
+            isActive: true
+        }).select('trackingNumber currentStatus sender recipient package service specialInstructions deliveryAttempts paymentMethod assignedAt');
+
+        shipments.sort((a, b) => {
+            const byPriority = PRIORITY_RANK[a.service.priority] - PRIORITY_RANK[b.service.priority];
+            if (byPriority !== 0) return byPriority;
+            return a.service.estimatedDelivery - b.service.estimatedDelivery;
+        });
+
+        res.json({
+            date: day.toISOString().slice(0, 10),
+            total: shipments.length,
+            shipments: shipments.map(shipment => ({
+                id: shipment._id,
+                trackingNumber: shipment.trackingNumber,
+                task: shipment.currentStatus === 'Order Placed' ? 'pickup' : 'delivery',
+                currentStatus: shipment.currentStatus,
+                priority: shipment.service.priority,
+                serviceType: shipment.service.type,
+                deliveryWindow: shipment.deliveryWindow,
+                isDelayed: shipment.isDelayed,
+                address: shipment.currentStatus === 'Order Placed'
+                    ? shipment.sender.address
+                    : shipment.recipient.address,
+                contact: shipment.currentStatus === 'Order Placed'
+                    ? { name: shipment.sender.name, phone: shipment.sender.phone }
+                    : { name: shipment.recipient.name, phone: shipment.recipient.phone },
+                package: {
+                    description: shipment.package.description,
+                    weight: shipment.package.weight,
+                    isFragile: shipment.package.isFragile,
+                    requiresSignature: shipment.package.requiresSignature
+                },
+                paymentMethod: shipment.paymentMethod,
+                deliveryAttempts: shipment.deliveryAttempts,
+                specialInstructions: shipment.specialInstructions
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get agent run sheet error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve run sheet'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken } = require('../middleware/auth');
+const { audit, setAuditContext, snapshot } = require('../middleware/audit');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 20;
+
+const scopesValidator = (field) => body(field)
+    .isArray({ min: 1 })
+    .withMessage('Grant at least one scope')
+    .custom(scopes => scopes.every(scope => ApiKey.SCOPES[scope]))
+    .withMessage(`Scopes must be one of: ${Object.keys(ApiKey.SCOPES).join(', ')}`);
+
+const nameValidator = (field) => body(field)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters');
+
+const rateLimitValidator = (field) => body(field)
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rate limit must be between 1 and 1000 requests per minute');
+
+const keyNotFound = (res) => res.status(404).json({
+    error: 'API key not found',
+    message: 'No API key found with the provided ID'
+});
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys, including revoked ones
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            apiKeys,
+            scopes: ApiKey.SCOPES
+        });
+
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve API keys'
+        });
+    }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The key itself is only returned here.
+// @access  Private
+router.post('/', audit('api-key.create', { resourceType: 'api-key' }), authenticateToken, [
+    nameValidator('name'),
+    scopesValidator('scopes'),
+    rateLimitValidator('rateLimit'),
+    body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Expiry must be a valid date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiry must be in the future')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+        if (activeKeys >= MAX_KEYS_PER_USER) {
+            return res.status(409).json({
+                error: 'Key limit reached',
+                message: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+            });
+        }
+
+        const { apiKey, key } = await ApiKey.issue({
+            user: req.user._id,
+            name: req.body.name,
+            scopes: req.body.scopes,
+            rateLimit: req.body.rateLimit,
+            expiresAt: req.body.expiresAt
+        });
+
+        setAuditContext(res, {
+            resourceId: apiKey._id,
+            after: snapshot(apiKey, ['name', 'prefix', 'scopes', 'rateLimit', 'expiresAt'])
+        });
+
+        res.status(201).json({
+            message: 'API key created. Store it now; it will not be shown again.',
+            apiKey,
+            key
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create API key'
+        });
+    }
+});
+
+// @route   PUT /api/api-keys/:id
+// @desc    Rename an API key or change its scopes or rate limit
+// @access  Private
+router.put('/:id', audit('api-key.update', { resourceType: 'api-key' }), authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid API key ID'),
+    nameValidator('name').optional(),
+    scopesValidator('scopes').optional(),
+    rateLimitValidator('rateLimit')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+        if (!apiKey) return keyNotFound(res);
+
+        if (apiKey.revokedAt) {
+            return res.status(409).json({
+                error: 'API key revoked',
+                message: 'Revoked keys cannot be changed'
+            });
+        }
+
+        const keyFields = ['name', 'scopes', 'rateLimit'];
+        const before = snapshot(apiKey, keyFields);
+
+        const { name, scopes, rateLimit } = req.body;
+        if (name !== undefined) apiKey.name = name;
+        if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+        if (rateLimit !== undefined) apiKey.rateLimit = rateLimit;
+
+        await apiKey.save();
+        setAuditContext(res, { before, after: snapshot(apiKey, keyFields) });
+
+        res.json({
+            message: 'API key updated successfully',
+            apiKey
+        });
+
+    } catch (error) {
+        console.error('Update API key error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update API key'
+        });
+    }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key. The record is kept so its usage history stays visible.
+// @access  Private
+router.delete('/:id', audit('api-key.revoke', { resourceType: 'api-key' }), authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid API key ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+        if (!apiKey) return keyNotFound(res);
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        res.json({
+            message: 'API key revoked successfully',
+            apiKey
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to revoke API key'
+        });
+    }
+});
+
+module.exports = router;
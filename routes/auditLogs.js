@@ -0,0 +1,143 @@
+const express = require('express');
+const { query, validationResult, matchedData } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { audit, setAuditContext } = require('../middleware/audit');
+const { formatCsvRow, writeWithBackpressure } = require('../utils/csv');
+
+const router = express.Router();
+
+const CSV_COLUMNS = ['createdAt', 'action', 'outcome', 'actor', 'actorRole', 'apiKey', 'resourceType', 'resourceId', 'ip', 'method', 'path', 'statusCode', 'changes', 'metadata'];
+
+const filterRules = [
+    query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('action').optional().isString().trim().matches(/^[a-z0-9.-]+\*?$/).withMessage('Action must be an action name, optionally ending in * (e.g. shipment.*)'),
+    query('resourceType').optional().isString().trim(),
+    query('resourceId').optional().isString().trim(),
+    query('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure'),
+    query('ip').optional().isIP().withMessage('Invalid IP address'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// Build a query filter from the request's query string
+const buildFilter = ({ actor, action, resourceType, resourceId, outcome, ip, from, to }) => {
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) {
+        filter.action = action.endsWith('*')
+            ? new RegExp(`^${action.slice(0, -1).replace(/\./g, '\\.')}`)
+            : action;
+    }
+    if (resourceType) filter.resourceType = resourceType;
+    if (resourceId) filter.resourceId = resourceId;
+    if (outcome) filter.outcome = outcome;
+    if (ip) filter.ip = ip;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+};
+
+// @route   GET /api/audit-logs
+// @desc    Search the audit log (Admin only)
+// @access  Private (Admin)
+router.get('/', authenticateToken, requireAdmin, filterRules, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const filter = buildFilter(req.query);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'fullName email')
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            entries,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total,
+                limit
+            }
+        });
+
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve audit logs'
+        });
+    }
+});
+
+// @route   GET /api/audit-logs/export
+// @desc    Download matching audit log entries as CSV (Admin only)
+// @access  Private (Admin)
+router.get('/export', audit('audit-log.export', { resourceType: 'audit-log' }), authenticateToken, requireAdmin, filterRules, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const filters = matchedData(req, { locations: ['query'] });
+        const cursor = AuditLog.find(buildFilter(req.query)).sort({ createdAt: -1 }).lean().cursor();
+        let rows = 0;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(formatCsvRow(CSV_COLUMNS));
+
+        for await (const entry of cursor) {
+            const row = CSV_COLUMNS.map(column => {
+                const value = entry[column];
+                if (column === 'changes') {
+                    return (value || []).map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; ');
+                }
+                if (column === 'metadata') return value ? JSON.stringify(value) : '';
+                return value;
+            });
+
+            await writeWithBackpressure(res, formatCsvRow(row));
+            if (res.destroyed) break;
+            rows++;
+        }
+
+        setAuditContext(res, { metadata: { filters, rows } });
+        res.end();
+
+    } catch (error) {
+        console.error('Export audit logs error:', error);
+
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to export audit logs'
+        });
+    }
+});
+
+module.exports = router;
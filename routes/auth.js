@@ -1,24 +1,90 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const bwipjs = require('bwip-js');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, allowWithoutTwoFactor } = require('../middleware/auth');
+const { audit, setAuditContext, snapshot } = require('../middleware/audit');
+const totp = require('../utils/totp');
+const {
+    createSession,
+    createTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+} = require('../services/sessions');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountEmails');
+const { sendPhoneOtp } = require('../services/otpNotifier');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign(
-        { userId },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' } // Token expires in 7 days
-    );
+// Minimum gap between reset or verification emails to the same account
+const ACCOUNT_EMAIL_INTERVAL_MS = 60 * 1000;
+
+const canSendAccountEmail = (user, kind) => {
+    const issuedAt = user.tokenIssuedAt(kind);
+    return !issuedAt || Date.now() - issuedAt >= ACCOUNT_EMAIL_INTERVAL_MS;
+};
+
+// Status, error and message for each failed phone OTP check
+const phoneOtpErrors = (attemptsRemaining) => ({
+    invalid: [400, 'Invalid OTP', `Incorrect code. ${attemptsRemaining} attempts remaining`],
+    expired: [410, 'OTP expired', 'This code is invalid or has expired. Please request a new one'],
+    locked: [423, 'OTP locked', 'Too many incorrect attempts. Please request a new code']
+});
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'TrackShip India';
+
+// Start a session for a fully authenticated user and send the login response
+const sendLoginSession = async (req, res, user, extra = {}) => {
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        ...extra,
+        user: {
+            id: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            phone: user.phone,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            isPhoneVerified: user.isPhoneVerified,
+            lastLogin: user.lastLogin,
+            preferences: user.preferences
+        }
+    });
+};
+
+// Finish a login whose first factor checked out: users with two-factor
+// authentication get a challenge token for POST /2fa/verify, everyone else a session
+const completeLogin = (req, res, user) => {
+    if (user.twoFactor.enabled) {
+        return res.json({
+            message: 'Enter the code from your authenticator app',
+            twoFactorRequired: true,
+            ...createTwoFactorChallenge(user)
+        });
+    }
+
+    return sendLoginSession(req, res, user, {
+        twoFactorSetupRequired: user.requiresTwoFactor() || undefined
+    });
 };
 
+const totpCodeValidator = (field) => body(field)
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Please provide the 6-digit code from your authenticator app');
+
 // @route   POST /api/auth/register
 // @desc    Register new user
 // @access  Public
-router.post('/register', [
+router.post('/register', audit('auth.register', { resourceType: 'user' }), [
     body('fullName')
         .notEmpty()
         .withMessage('Full name is required')
@@ -73,15 +139,23 @@ router.post('/register', [
             phone,
             password
         });
+        const verificationToken = user.createEmailVerificationToken();
 
         await user.save();
+        setAuditContext(res, { actor: user._id, actorRole: user.role, resourceId: user._id });
+
+        sendVerificationEmail(user, verificationToken).catch(error => {
+            console.error('Verification email error:', error);
+        });
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Start a session
+        const { token, refreshToken, expiresIn } = await createSession(user, req);
 
         res.status(201).json({
             message: 'User registered successfully',
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user._id,
                 fullName: user.fullName,
@@ -115,7 +189,7 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', [
+router.post('/login', audit('auth.login', { resourceType: 'user', recordFailures: true }), [
     body('email')
         .isEmail()
         .withMessage('Please provide a valid email address')
@@ -136,29 +210,19 @@ router.post('/login', [
         }
 
         const { email, password } = req.body;
+        setAuditContext(res, { metadata: { method: 'password', email } });
 
         // Find user and validate password
         const user = await User.findByCredentials(email, password);
-
-        // Generate token
-        const token = generateToken(user._id);
-
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                fullName: user.fullName,
-                email: user.email,
-                phone: user.phone,
-                role: user.role,
-                isEmailVerified: user.isEmailVerified,
-                isPhoneVerified: user.isPhoneVerified,
-                lastLogin: user.lastLogin,
-                preferences: user.preferences
-            }
+        setAuditContext(res, {
+            actor: user._id,
+            actorRole: user.role,
+            resourceId: user._id,
+            metadata: { method: 'password', twoFactorPending: user.twoFactor.enabled }
         });
 
+        await completeLogin(req, res, user);
+
     } catch (error) {
         console.error('Login error:', error);
 
@@ -177,6 +241,13 @@ router.post('/login', [
             });
         }
 
+        if (error.message.includes('Password reset required')) {
+            return res.status(403).json({
+                error: 'Password reset required',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
         res.status(500).json({
             error: 'Server error',
             message: 'Something went wrong during login'
@@ -187,7 +258,7 @@ router.post('/login', [
 // @route   GET /api/auth/me
 // @desc    Get current user info
 // @access  Private
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', allowWithoutTwoFactor, authenticateToken, async (req, res) => {
     try {
         res.json({
             user: {
@@ -200,6 +271,7 @@ router.get('/me', authenticateToken, async (req, res) => {
                 isPhoneVerified: req.user.isPhoneVerified,
                 address: req.user.address,
                 preferences: req.user.preferences,
+                twoFactorEnabled: req.user.twoFactor.enabled,
                 lastLogin: req.user.lastLogin,
                 createdAt: req.user.createdAt
             }
@@ -216,7 +288,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', authenticateToken, [
+router.put('/profile', audit('user.profile-update', { resourceType: 'user' }), authenticateToken, [
     body('fullName')
         .optional()
         .isLength({ min: 2, max: 100 })
@@ -244,6 +316,7 @@ router.put('/profile', authenticateToken, [
         const updateData = {};
         if (fullName) updateData.fullName = fullName.trim();
         if (phone) updateData.phone = phone;
+        if (phone && phone !== req.user.phone) updateData.isPhoneVerified = false;
         if (address) updateData.address = address;
         if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
 
@@ -269,6 +342,12 @@ router.put('/profile', authenticateToken, [
             { new: true, runValidators: true }
         );
 
+        const changedFields = Object.keys(updateData);
+        setAuditContext(res, {
+            before: snapshot(req.user, changedFields),
+            after: snapshot(updatedUser, changedFields)
+        });
+
         res.json({
             message: 'Profile updated successfully',
             user: {
@@ -303,7 +382,7 @@ router.put('/profile', authenticateToken, [
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', authenticateToken, [
+router.post('/change-password', audit('auth.password-change', { resourceType: 'user', recordFailures: true }), authenticateToken, [
     body('currentPassword')
         .notEmpty()
         .withMessage('Current password is required'),
@@ -340,8 +419,11 @@ router.post('/change-password', authenticateToken, [
         user.password = newPassword;
         await user.save();
 
+        // Sign out everywhere else
+        await revokeUserSessions(user._id, { except: req.authSession._id, reason: 'password-change' });
+
         res.json({
-            message: 'Password changed successfully'
+            message: 'Password changed successfully. Your other sessions have been signed out.'
         });
 
     } catch (error) {
@@ -353,13 +435,853 @@ router.post('/change-password', authenticateToken, [
     }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether or not the account exists.
+// @access  Public
+router.post('/forgot-password', [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+
+        if (user && canSendAccountEmail(user, 'reset')) {
+            const token = user.createPasswordResetToken();
+            await user.save();
+
+            sendPasswordResetEmail(user, token).catch(error => {
+                console.error('Password reset email error:', error);
+            });
+        }
+
+        res.json({
+            message: 'If an account exists for this email, a password reset link has been sent.'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to process password reset request'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token and sign out every session
+// @access  Public
+router.post('/reset-password', audit('auth.password-reset', { resourceType: 'user' }), [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters long')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.consumeResetToken(req.body.token);
+
+        if (!user) {
+            return res.status(400).json({
+                error: 'Invalid token',
+                message: 'This password reset link is invalid or has expired'
+            });
+        }
+
+        user.password = req.body.password;
+        user.loginAttempts = 0;
+        user.lockUntil = undefined;
+        user.passwordResetRequired = false;
+        await user.save();
+        // Whoever had access before the reset loses it, including through API keys
+        await revokeUserSessions(user._id, { reason: 'password-change' });
+        const apiKeysRevoked = await ApiKey.revokeAllForUser(user._id);
+
+        setAuditContext(res, { actor: user._id, actorRole: user.role, resourceId: user._id, metadata: { apiKeysRevoked } });
+
+        res.json({
+            message: apiKeysRevoked > 0
+                ? 'Your password has been reset and your API keys revoked. Please log in with your new password and create new keys.'
+                : 'Your password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to reset password'
+        });
+    }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.consumeEmailVerificationToken(req.body.token);
+
+        if (!user) {
+            return res.status(400).json({
+                error: 'Invalid token',
+                message: 'This verification link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            message: 'Email address verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to verify email address'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email. The response is the same whether or not the account exists.
+// @access  Public
+router.post('/resend-verification', [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+
+        if (user && !user.isEmailVerified && canSendAccountEmail(user, 'verification')) {
+            const token = user.createEmailVerificationToken();
+            await user.save();
+
+            sendVerificationEmail(user, token).catch(error => {
+                console.error('Verification email error:', error);
+            });
+        }
+
+        res.json({
+            message: 'If this email belongs to an unverified account, a new verification link has been sent.'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to resend verification email'
+        });
+    }
+});
+
+// @route   POST /api/auth/otp/request
+// @desc    Send a login code to a registered phone number. The response is the
+//          same whether or not the number is registered.
+// @access  Public
+router.post('/otp/request', [
+    body('phone')
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Please provide a valid 10-digit phone number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ phone: req.body.phone, isActive: true });
+
+        // Locked accounts and numbers in their resend cooldown are skipped silently.
+        // The code is saved and sent in the background so that registered numbers
+        // don't take longer to answer than unregistered ones.
+        if (user && !user.isLocked && user.phoneOtpRetryAfter() === 0) {
+            const code = user.issuePhoneOtp('login');
+
+            user.save()
+                .then(() => sendPhoneOtp(user, code, 'login'))
+                .catch(error => console.error('Login OTP send error:', error));
+        }
+
+        res.json({
+            message: 'If this number is registered, a login code has been sent.',
+            expiresIn: User.PHONE_OTP_TTL / 1000,
+            resendAfter: User.PHONE_OTP_RESEND_COOLDOWN / 1000
+        });
+
+    } catch (error) {
+        console.error('OTP request error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to send login code'
+        });
+    }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Log in with a phone number and the code sent to it
+// @access  Public
+router.post('/otp/verify', audit('auth.login', { resourceType: 'user', recordFailures: true }), [
+    body('phone')
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Please provide a valid 10-digit phone number'),
+    body('code')
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Please provide the 6-digit code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ phone: req.body.phone, isActive: true });
+        setAuditContext(res, user
+            ? { actor: user._id, actorRole: user.role, resourceId: user._id, metadata: { method: 'otp' } }
+            : { metadata: { method: 'otp', phone: req.body.phone } });
+
+        if (!user) {
+            const [statusCode, errorTitle, message] = phoneOtpErrors(0).expired;
+            return res.status(statusCode).json({ error: errorTitle, message });
+        }
+
+        if (user.isLocked) {
+            return res.status(423).json({
+                error: 'Account locked',
+                message: 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            return res.status(403).json({
+                error: 'Password reset required',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
+        const result = user.verifyPhoneOtp(req.body.code, 'login');
+
+        if (result !== 'verified') {
+            await user.save();
+
+            // Wrong codes count towards the same lockout as wrong passwords
+            if (result !== 'expired') {
+                await user.incLoginAttempts();
+            }
+
+            const [statusCode, errorTitle, message] = phoneOtpErrors(User.PHONE_OTP_MAX_ATTEMPTS - user.phoneOtp.attempts)[result];
+            return res.status(statusCode).json({ error: errorTitle, message });
+        }
+
+        await user.save();
+        if (user.loginAttempts > 0) {
+            await user.resetLoginAttempts();
+        }
+        await user.updateLastLogin();
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        console.error('OTP verify error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Something went wrong during login'
+        });
+    }
+});
+
+// @route   POST /api/auth/phone/verification
+// @desc    Send a code to the current user's phone number to verify it
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-    res.json({
-        message: 'Logged out successfully'
-    });
+router.post('/phone/verification', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (user.isPhoneVerified) {
+            return res.status(400).json({
+                error: 'Already verified',
+                message: 'Your phone number is already verified'
+            });
+        }
+
+        const retryAfter = user.phoneOtpRetryAfter();
+        if (retryAfter > 0) {
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: `Please wait ${retryAfter} seconds before requesting another code`,
+                retryAfter
+            });
+        }
+
+        const code = user.issuePhoneOtp('verify');
+        await user.save();
+        await sendPhoneOtp(user, code, 'verify');
+
+        res.json({
+            message: `A verification code has been sent to your phone ending in ${user.phone.slice(-4)}`,
+            expiresIn: User.PHONE_OTP_TTL / 1000,
+            resendAfter: User.PHONE_OTP_RESEND_COOLDOWN / 1000
+        });
+
+    } catch (error) {
+        console.error('Phone verification request error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to send verification code'
+        });
+    }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Verify the current user's phone number with the code sent to it
+// @access  Private
+router.post('/phone/verify', authenticateToken, [
+    body('code')
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Please provide the 6-digit code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = req.user;
+        const result = user.verifyPhoneOtp(req.body.code, 'verify');
+        await user.save();
+
+        if (result !== 'verified') {
+            const [statusCode, errorTitle, message] = phoneOtpErrors(User.PHONE_OTP_MAX_ATTEMPTS - user.phoneOtp.attempts)[result];
+            return res.status(statusCode).json({ error: errorTitle, message });
+        }
+
+        res.json({
+            message: 'Phone number verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Phone verify error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to verify phone number'
+        });
+    }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa', allowWithoutTwoFactor, authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            required: user.requiresTwoFactor(),
+            recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve two-factor authentication status'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: returns a new secret and its QR code
+// @access  Private
+router.post('/2fa/setup', allowWithoutTwoFactor, authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({
+                error: 'Already enabled',
+                message: 'Two-factor authentication is already enabled. Disable it first to set up a new device.'
+            });
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUrl = totp.buildOtpauthUrl({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER });
+        const qrCode = await bwipjs.toBuffer({ bcid: 'qrcode', text: otpauthUrl, scale: 4, eclevel: 'M' });
+
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl,
+            qrCode: `data:image/png;base64,${qrCode.toString('base64')}`
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to start two-factor authentication setup'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app. Recovery codes are only returned here.
+// @access  Private
+router.post('/2fa/enable', audit('auth.2fa-enable', { resourceType: 'user' }), allowWithoutTwoFactor, authenticateToken, [
+    totpCodeValidator('code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({
+                error: 'Already enabled',
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                error: 'Setup not started',
+                message: 'Please start two-factor authentication setup first'
+            });
+        }
+
+        if (!await user.verifyTotp(req.body.code, { pending: true })) {
+            return res.status(400).json({
+                error: 'Invalid code',
+                message: 'The code is incorrect. Check the time on your device and try again.'
+            });
+        }
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store your recovery codes now; they will not be shown again.',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication after re-entering the password
+// @access  Private
+router.post('/2fa/disable', audit('auth.2fa-disable', { resourceType: 'user', recordFailures: true }), authenticateToken, [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = req.user;
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                error: 'Not enabled',
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (user.requiresTwoFactor()) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: `Two-factor authentication is mandatory for the ${user.role} role`
+            });
+        }
+
+        const isPasswordValid = await user.comparePassword(req.body.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                error: 'Invalid password',
+                message: 'Password is incorrect'
+            });
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.enabledAt': 1,
+                'twoFactor.lockUntil': 1
+            }
+        });
+
+        res.json({
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes, confirmed with a code from the app
+// @access  Private
+router.post('/2fa/recovery-codes', audit('auth.2fa-recovery-codes', { resourceType: 'user' }), authenticateToken, [
+    totpCodeValidator('code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                error: 'Not enabled',
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!await user.verifyTotp(req.body.code)) {
+            return res.status(400).json({
+                error: 'Invalid code',
+                message: 'The code is incorrect or has already been used'
+            });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        res.json({
+            message: 'New recovery codes generated. Your old codes no longer work.',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to generate recovery codes'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: exchange the challenge token and an app or recovery code for a session
+// @access  Public
+router.post('/2fa/verify', audit('auth.login-2fa', { resourceType: 'user', recordFailures: true }), [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Please provide the 6-digit code from your authenticator app'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .withMessage('Recovery code must be a string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+        const user = await User.findWithTwoFactorSecrets(userId);
+        setAuditContext(res, {
+            actor: userId,
+            actorRole: user && user.role,
+            resourceId: userId,
+            metadata: { method: req.body.recoveryCode ? 'recovery-code' : 'totp' }
+        });
+
+        if (!user || !user.isActive || !user.twoFactor.enabled) {
+            return res.status(401).json({
+                error: 'Invalid challenge',
+                message: 'Please log in again'
+            });
+        }
+
+        if (user.isTwoFactorLocked()) {
+            return res.status(423).json({
+                error: 'Account locked',
+                message: 'Too many incorrect two-factor codes. Please try again later.'
+            });
+        }
+
+        const { code, recoveryCode } = req.body;
+        const verified = recoveryCode ? await user.useRecoveryCode(recoveryCode) : await user.verifyTotp(code);
+
+        if (!verified) {
+            await user.incTwoFactorAttempts();
+            return res.status(400).json({
+                error: 'Invalid code',
+                message: recoveryCode
+                    ? 'The recovery code is incorrect or has already been used'
+                    : 'The code is incorrect or has already been used'
+            });
+        }
+
+        if (user.twoFactor.failedAttempts > 0) {
+            await user.resetTwoFactorAttempts();
+        }
+
+        await sendLoginSession(req, res, user, {
+            recoveryCodesRemaining: recoveryCode ? user.twoFactor.recoveryCodes.length : undefined
+        });
+    } catch (error) {
+        if (error.name === 'InvalidChallenge') {
+            return res.status(401).json({
+                error: 'Invalid challenge',
+                message: 'Your login attempt has expired. Please log in again.'
+            });
+        }
+
+        console.error('2FA verify error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Something went wrong during login'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { token, refreshToken, expiresIn } = await rotateSession(req.body.refreshToken, req);
+
+        res.json({
+            message: 'Token refreshed',
+            token,
+            refreshToken,
+            expiresIn
+        });
+
+    } catch (error) {
+        if (error.name === 'InvalidRefreshToken') {
+            return res.status(401).json({
+                error: 'Invalid refresh token',
+                message: 'Please log in again'
+            });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to refresh token'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and end the current session
+// @access  Private
+router.post('/logout', audit('auth.logout', { resourceType: 'session' }), allowWithoutTwoFactor, authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, req.user._id, 'logout');
+        setAuditContext(res, { resourceId: req.authSession._id });
+
+        res.json({
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to log out'
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', audit('auth.session-revoke', { resourceType: 'session' }), authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const session = await revokeSession(req.params.id, req.user._id, 'revoked');
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'No active session found with the provided ID'
+            });
+        }
+
+        res.json({
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to revoke session'
+        });
+    }
 });
 
 module.exports = router;
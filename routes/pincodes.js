@@ -0,0 +1,112 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const Pincode = require('../models/Pincode');
+const { importPincodesFromCsv } = require('../services/pincodeDirectory');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { audit, setAuditContext } = require('../middleware/audit');
+
+const router = express.Router();
+
+const upload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+// @route   GET /api/pincodes/:pincode/serviceability
+// @desc    Check whether a pincode is serviceable and which services it supports
+// @access  Public
+router.get('/:pincode/serviceability', [
+    param('pincode')
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Please provide a valid 6-digit pincode')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Invalid pincode format',
+                details: errors.array()
+            });
+        }
+
+        const { pincode } = req.params;
+        const entry = await Pincode.findServiceable(pincode);
+
+        if (!entry) {
+            return res.status(404).json({
+                pincode,
+                serviceable: false,
+                error: 'Pincode not serviceable',
+                message: `We do not currently serve pincode ${pincode}`
+            });
+        }
+
+        res.json({
+            pincode: entry.pincode,
+            serviceable: entry.serviceTypes.length > 0,
+            city: entry.city,
+            district: entry.district,
+            state: entry.state,
+            zone: entry.zone,
+            hub: entry.hub,
+            serviceTypes: entry.serviceTypes,
+            codAllowed: entry.codAllowed,
+            isRemote: entry.isRemote
+        });
+
+    } catch (error) {
+        console.error('Pincode serviceability error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to check pincode serviceability'
+        });
+    }
+});
+
+// @route   POST /api/pincodes/import
+// @desc    Import or update the pincode directory from a CSV upload (field name "file")
+// @access  Private (Admin)
+router.post('/import', audit('pincode.import', { resourceType: 'pincode' }), authenticateToken, requireAdmin, upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            message: 'A CSV file is required'
+        });
+    }
+
+    try {
+        const result = await importPincodesFromCsv(fs.createReadStream(req.file.path));
+        setAuditContext(res, {
+            metadata: { file: req.file.originalname, imported: result.imported, failed: result.failed.length }
+        });
+
+        res.json({
+            message: 'Pincode directory imported',
+            imported: result.imported,
+            failed: result.failed
+        });
+
+    } catch (error) {
+        if (error.name === 'CsvParseError') {
+            return res.status(400).json({
+                error: 'Invalid CSV',
+                message: `${error.message}. Rows before it may already have been imported.`
+            });
+        }
+
+        console.error('Pincode import error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to import pincode directory'
+        });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+});
+
+module.exports = router;
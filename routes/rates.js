@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SERVICE_TYPES, calculateQuote } = require('../services/rateCalculator');
+const { resolveLane } = require('../services/pincodeDirectory');
+
+const router = express.Router();
+
+// @route   POST /api/rates/quote
+// @desc    Calculate shipping cost for a package between two pincodes
+// @access  Public
+router.post('/quote', [
+    body('originPincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit origin pincode is required'),
+    body('destinationPincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit destination pincode is required'),
+    body('serviceType').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+    body('package.weight').isFloat({ min: 0.1 }).withMessage('Package weight must be at least 0.1 kg'),
+    body('package.dimensions.length').optional().isFloat({ min: 1 }).withMessage('Package length must be at least 1 cm'),
+    body('package.dimensions.width').optional().isFloat({ min: 1 }).withMessage('Package width must be at least 1 cm'),
+    body('package.dimensions.height').optional().isFloat({ min: 1 }).withMessage('Package height must be at least 1 cm'),
+    body('package.value').optional().isFloat({ min: 1 }).withMessage('Package value must be at least ₹1'),
+    body('package.isFragile').optional().isBoolean().withMessage('isFragile must be a boolean'),
+    body('insurance').optional().isBoolean().withMessage('insurance must be a boolean')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { originPincode, destinationPincode, serviceType, insurance } = req.body;
+        const pkg = req.body.package;
+        const { length, width, height } = pkg.dimensions || {};
+        const hasDimensions = length && width && height;
+
+        const lane = await resolveLane(originPincode, destinationPincode);
+
+        // Only offer services both ends of the lane support when the directory knows them
+        const serviceTypes = lane.origin && lane.destination
+            ? lane.origin.serviceTypes.filter(type => lane.destination.serviceTypes.includes(type))
+            : undefined;
+
+        const quote = calculateQuote({
+            originPincode,
+            destinationPincode,
+            serviceType,
+            serviceTypes,
+            zone: lane.zone,
+            weight: Number(pkg.weight),
+            dimensions: hasDimensions
+                ? { length: Number(length), width: Number(width), height: Number(height) }
+                : null,
+            value: Number(pkg.value) || 0,
+            isFragile: pkg.isFragile === true || pkg.isFragile === 'true',
+            isInsured: insurance === true || insurance === 'true'
+        });
+
+        res.json({
+            originPincode,
+            destinationPincode,
+            currency: 'INR',
+            ...quote
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Service unavailable',
+                message: error.message
+            });
+        }
+
+        console.error('Rate quote error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to calculate shipping rate'
+        });
+    }
+});
+
+module.exports = router;
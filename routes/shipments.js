@@ -1,10 +1,289 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { body, validationResult, param, query, matchedData } = require('express-validator');
 const Shipment = require('../models/Shipment');
-const { authenticateToken, optionalAuth, requireAgent } = require('../middleware/auth');
+const User = require('../models/User');
+const Pincode = require('../models/Pincode');
+const { estimateDelivery } = require('../services/deliveryEstimator');
+const { closingTimeOn } = require('../utils/businessCalendar');
+const { prepareShipment, bookShipment } = require('../services/shipmentBooking');
+const { LABEL_SIZES, createLabelPdf, createInvoicePdf } = require('../services/shipmentDocuments');
+const { subscribeToTracking } = require('../services/trackingFeed');
+const storage = require('../services/storage');
+const { sendDeliveryOtp } = require('../services/otpNotifier');
+const { readCsvRows } = require('../utils/csv');
+const {
+    SERVICE_TYPES,
+    listOf,
+    searchFilterRules,
+    searchRules,
+    buildSearchFilter,
+    SORT_FIELDS,
+    encodeCursor,
+    decodeCursor,
+    afterCursor
+} = require('../services/shipmentSearch');
+const {
+    FORMATS: EXPORT_FORMATS,
+    COLUMNS: EXPORT_COLUMNS,
+    DEFAULT_COLUMNS: DEFAULT_EXPORT_COLUMNS,
+    SYNC_EXPORT_LIMIT,
+    writeShipmentExport,
+    exportFileName,
+    queueExport
+} = require('../services/shipmentExport');
+const ExportJob = require('../models/ExportJob');
+const { analyticsRules, buildAnalytics } = require('../services/shipmentAnalytics');
+const { authenticateToken, optionalAuth, requireAgent, requireAdmin, allowApiKey } = require('../middleware/auth');
+const { audit, setAuditContext, snapshot } = require('../middleware/audit');
 
 const router = express.Router();
 
+// Routes that accept API keys and the scope a key needs for each. server.js
+// mounts these ahead of the IP rate limit, so key requests to them are
+// limited per key instead.
+const apiKeyScopes = express.Router();
+apiKeyScopes.get(['/track/:trackingNumber', '/track/:trackingNumber/stream', '/my', '/search', '/:id/pod', '/:id/pod/:kind'], allowApiKey('tracking:read'));
+apiKeyScopes.get(['/:id/label', '/:id/invoice'], allowApiKey('shipments:create'));
+apiKeyScopes.post(['/', '/bulk'], allowApiKey('shipments:create'));
+
+const SSE_HEARTBEAT_MS = 25000;
+const MAX_RESCHEDULE_DAYS = 14;
+const BULK_MAX_ROWS = 5000;
+
+const POD_IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+// Proof-of-delivery images are held in memory until the event is validated
+const podUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 2 },
+    fileFilter: (req, file, cb) => {
+        if (!POD_IMAGE_TYPES[file.mimetype]) {
+            return cb(new Error(`${file.fieldname} must be a JPEG, PNG or WebP image`));
+        }
+        cb(null, true);
+    }
+}).fields([
+    { name: 'photo', maxCount: 1 },
+    { name: 'signature', maxCount: 1 }
+]);
+
+// Accept optional photo/signature uploads on multipart requests; JSON requests pass through
+const handlePodUpload = (req, res, next) => {
+    podUpload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+// Save an uploaded proof-of-delivery image and return its metadata. Keys are
+// random so a file cannot be found from the tracking number alone.
+const storePodFile = async (shipment, kind, file) => {
+    const key = path.posix.join('pod', shipment.trackingNumber, `${kind}-${crypto.randomBytes(16).toString('hex')}${POD_IMAGE_TYPES[file.mimetype]}`);
+    await storage.save(key, file.buffer, file.mimetype);
+    return { key, contentType: file.mimetype, size: file.size };
+};
+
+// Request body rules for creating a shipment, also applied to each bulk row
+const createShipmentRules = [
+    body('sender.name').notEmpty().withMessage('Sender name is required'),
+    body('sender.email').isEmail().withMessage('Valid sender email is required'),
+    body('sender.phone').matches(/^[0-9]{10}$/).withMessage('Valid 10-digit sender phone is required'),
+    body('sender.address.street').notEmpty().withMessage('Sender street address is required'),
+    body('sender.address.pincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit sender pincode is required'),
+    
+    body('recipient.name').notEmpty().withMessage('Recipient name is required'),
+    body('recipient.phone').matches(/^[0-9]{10}$/).withMessage('Valid 10-digit recipient phone is required'),
+    body('recipient.address.street').notEmpty().withMessage('Recipient street address is required'),
+    body('recipient.address.pincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit recipient pincode is required'),
+    
+    body('package.description').notEmpty().withMessage('Package description is required'),
+    body('package.weight').isFloat({ min: 0.1 }).withMessage('Package weight must be at least 0.1 kg'),
+    body('package.value').isFloat({ min: 1 }).withMessage('Package value must be at least ₹1'),
+    body('package.dimensions.length').isFloat({ min: 1 }).withMessage('Package length must be at least 1 cm'),
+    body('package.dimensions.width').isFloat({ min: 1 }).withMessage('Package width must be at least 1 cm'),
+    body('package.dimensions.height').isFloat({ min: 1 }).withMessage('Package height must be at least 1 cm'),
+    
+    body('service.type').isIn(['hyperlocal', 'same-day', 'next-day', 'standard', 'economy', 'express']).withMessage('Invalid service type'),
+    body('service.cost').optional().isFloat({ min: 0 }).withMessage('Service cost cannot be negative')
+];
+
+// Bulk CSV uploads are spooled to disk and read back row by row
+const bulkUpload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: 20 * 1024 * 1024, files: 1 }
+}).single('file');
+
+const handleBulkUpload = (req, res, next) => {
+    bulkUpload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
+const BULK_BOOLEAN_COLUMNS = ['package.isFragile', 'package.requiresSignature', 'service.insurance.isInsured'];
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Turn flat CSV columns such as "sender.address.pincode" into nested shipment
+// bodies. Empty cells are left out so optional fields stay optional.
+async function* csvShipmentRows(stream) {
+    for await (const { line, row } of readCsvRows(stream)) {
+        const data = {};
+
+        Object.entries(row).forEach(([column, value]) => {
+            const keys = column.split('.');
+            if (value === '' || keys.some(key => !key || UNSAFE_KEYS.includes(key))) return;
+
+            let target = data;
+            keys.slice(0, -1).forEach(key => {
+                if (typeof target[key] !== 'object') target[key] = {};
+                target = target[key];
+            });
+
+            target[keys[keys.length - 1]] = BULK_BOOLEAN_COLUMNS.includes(column)
+                ? ['true', 'yes', '1'].includes(value.toLowerCase())
+                : value;
+        });
+
+        yield { row: line, data };
+    }
+}
+
+// Validate and book (or, on a dry run, just price) one bulk row
+const processBulkRow = async (row, data, user, dryRun) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { row, status: 'failed', error: 'Validation failed', message: 'Each shipment must be an object' };
+    }
+
+    const rowRequest = { body: data };
+    for (const rule of createShipmentRules) {
+        await rule.run(rowRequest);
+    }
+
+    const errors = validationResult(rowRequest);
+    if (!errors.isEmpty()) {
+        return {
+            row,
+            status: 'failed',
+            error: 'Validation failed',
+            message: 'Please check your input',
+            details: errors.array()
+        };
+    }
+
+    try {
+        if (dryRun) {
+            const { shipment, quote } = await prepareShipment(data, user);
+            return {
+                row,
+                status: 'valid',
+                cost: quote.total,
+                zone: quote.zone,
+                estimatedDelivery: shipment.service.estimatedDelivery
+            };
+        }
+
+        const { shipment } = await bookShipment(data, user);
+        return {
+            row,
+            status: 'created',
+            trackingNumber: shipment.trackingNumber,
+            cost: shipment.service.cost,
+            estimatedDelivery: shipment.service.estimatedDelivery
+        };
+    } catch (error) {
+        if (error.name === 'BookingRejected') {
+            return { row, status: 'failed', error: error.title, message: error.message };
+        }
+        if (error.name === 'ValidationError') {
+            return { row, status: 'failed', error: 'Validation failed', message: error.message };
+        }
+        throw error;
+    }
+};
+
+// Public tracking views only expose these event fields
+const formatPublicEvent = (event) => ({
+    status: event.status,
+    location: event.location,
+    description: event.description,
+    reasonCode: event.reasonCode,
+    timestamp: event.timestamp
+});
+
+// Predicted delivery with its confidence window, or null once the shipment is closed
+const formatEta = (eta) => {
+    if (!eta || !eta.expected) return null;
+
+    return {
+        expected: eta.expected,
+        window: { earliest: eta.earliest, latest: eta.latest },
+        confidence: eta.confidence,
+        basis: eta.basis,
+        updatedAt: eta.updatedAt
+    };
+};
+
+// Tracking details for a shipment; authenticated users get full details
+const formatTrackingResponse = (shipment, isAuthenticated) => {
+    if (isAuthenticated) {
+        return {
+            trackingNumber: shipment.trackingNumber,
+            currentStatus: shipment.currentStatus,
+            progress: shipment.progress,
+            sender: shipment.sender,
+            recipient: shipment.recipient,
+            package: shipment.package,
+            service: shipment.service,
+            tracking: shipment.tracking,
+            estimatedDelivery: shipment.service.estimatedDelivery,
+            eta: formatEta(shipment.eta),
+            isDelayed: shipment.isDelayed,
+            deliveryWindow: shipment.deliveryWindow,
+            deliveryAttempts: shipment.deliveryAttempts,
+            createdAt: shipment.createdAt,
+            updatedAt: shipment.updatedAt
+        };
+    }
+
+    return {
+        trackingNumber: shipment.trackingNumber,
+        currentStatus: shipment.currentStatus,
+        progress: shipment.progress,
+        tracking: shipment.tracking.map(formatPublicEvent),
+        estimatedDelivery: shipment.service.estimatedDelivery,
+        eta: formatEta(shipment.eta),
+        isDelayed: shipment.isDelayed,
+        serviceType: shipment.service.type
+    };
+};
+
+const writeSseEvent = (res, eventName, data, id) => {
+    if (id) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
 // @route   GET /api/shipments/track/:trackingNumber
 // @desc    Track a shipment by tracking number (public endpoint)
 // @access  Public
@@ -36,41 +315,7 @@ router.get('/track/:trackingNumber', [
         }
 
         // Return different levels of detail based on authentication
-        if (req.user) {
-            // Authenticated user gets full details
-            return res.json({
-                trackingNumber: shipment.trackingNumber,
-                currentStatus: shipment.currentStatus,
-                progress: shipment.progress,
-                sender: shipment.sender,
-                recipient: shipment.recipient,
-                package: shipment.package,
-                service: shipment.service,
-                tracking: shipment.tracking,
-                estimatedDelivery: shipment.service.estimatedDelivery,
-                isDelayed: shipment.isDelayed,
-                deliveryWindow: shipment.deliveryWindow,
-                deliveryAttempts: shipment.deliveryAttempts,
-                createdAt: shipment.createdAt,
-                updatedAt: shipment.updatedAt
-            });
-        } else {
-            // Public access gets limited information
-            return res.json({
-                trackingNumber: shipment.trackingNumber,
-                currentStatus: shipment.currentStatus,
-                progress: shipment.progress,
-                tracking: shipment.tracking.map(event => ({
-                    status: event.status,
-                    location: event.location,
-                    description: event.description,
-                    timestamp: event.timestamp
-                })),
-                estimatedDelivery: shipment.service.estimatedDelivery,
-                isDelayed: shipment.isDelayed,
-                serviceType: shipment.service.type
-            });
-        }
+        res.json(formatTrackingResponse(shipment, !!req.user));
 
     } catch (error) {
         console.error('Track shipment error:', error);
@@ -81,80 +326,95 @@ router.get('/track/:trackingNumber', [
     }
 });
 
-// @route   POST /api/shipments
-// @desc    Create a new shipment
-// @access  Private
-router.post('/', authenticateToken, [
-    body('sender.name').notEmpty().withMessage('Sender name is required'),
-    body('sender.email').isEmail().withMessage('Valid sender email is required'),
-    body('sender.phone').matches(/^[0-9]{10}$/).withMessage('Valid 10-digit sender phone is required'),
-    body('sender.address.street').notEmpty().withMessage('Sender street address is required'),
-    body('sender.address.city').notEmpty().withMessage('Sender city is required'),
-    body('sender.address.state').notEmpty().withMessage('Sender state is required'),
-    body('sender.address.pincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit sender pincode is required'),
-    
-    body('recipient.name').notEmpty().withMessage('Recipient name is required'),
-    body('recipient.phone').matches(/^[0-9]{10}$/).withMessage('Valid 10-digit recipient phone is required'),
-    body('recipient.address.street').notEmpty().withMessage('Recipient street address is required'),
-    body('recipient.address.city').notEmpty().withMessage('Recipient city is required'),
-    body('recipient.address.state').notEmpty().withMessage('Recipient state is required'),
-    body('recipient.address.pincode').matches(/^[0-9]{6}$/).withMessage('Valid 6-digit recipient pincode is required'),
-    
-    body('package.description').notEmpty().withMessage('Package description is required'),
-    body('package.weight').isFloat({ min: 0.1 }).withMessage('Package weight must be at least 0.1 kg'),
-    body('package.value').isFloat({ min: 1 }).withMessage('Package value must be at least ₹1'),
-    body('package.dimensions.length').isFloat({ min: 1 }).withMessage('Package length must be at least 1 cm'),
-    body('package.dimensions.width').isFloat({ min: 1 }).withMessage('Package width must be at least 1 cm'),
-    body('package.dimensions.height').isFloat({ min: 1 }).withMessage('Package height must be at least 1 cm'),
-    
-    body('service.type').isIn(['hyperlocal', 'same-day', 'next-day', 'standard', 'economy', 'express']).withMessage('Invalid service type'),
-    body('service.cost').isFloat({ min: 0 }).withMessage('Service cost cannot be negative')
-], async (req, res) => {
+// @route   GET /api/shipments/track/:trackingNumber/stream
+// @desc    Stream new tracking events for a shipment as Server-Sent Events
+// @access  Public
+router.get('/track/:trackingNumber/stream', [
+    param('trackingNumber')
+        .matches(/^IND\d{9}$/)
+        .withMessage('Invalid tracking number format. Use format: IND123456789')
+], optionalAuth, async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({
                 error: 'Validation failed',
-                message: 'Please check your input',
+                message: 'Invalid tracking number format',
                 details: errors.array()
             });
         }
 
-        // Calculate estimated delivery based on service type
-        const serviceDeliveryDays = {
-            'hyperlocal': 0.25, // 6 hours
-            'same-day': 1,
-            'next-day': 2,
-            'standard': 4,
-            'economy': 7,
-            'express': 1
-        };
+        const { trackingNumber } = req.params;
+        const isAuthenticated = !!req.user;
 
-        const estimatedDelivery = new Date();
-        estimatedDelivery.setDate(estimatedDelivery.getDate() + serviceDeliveryDays[req.body.service.type]);
+        const shipment = await Shipment.findByTrackingNumber(trackingNumber);
 
-        // Create shipment
-        const shipmentData = {
-            ...req.body,
-            service: {
-                ...req.body.service,
-                estimatedDelivery
-            },
-            createdBy: req.user._id
-        };
+        if (!shipment) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: `No shipment found with tracking number ${trackingNumber}`
+            });
+        }
 
-        const shipment = new Shipment(shipmentData);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
 
-        // Add initial tracking event
-        shipment.tracking.push({
-            status: 'Order Placed',
-            location: `${req.body.sender.address.city}, ${req.body.sender.address.state}`,
-            description: 'Shipment order has been placed and is being processed',
-            timestamp: new Date()
+        // Start with the current state so clients never miss events saved before subscribing
+        writeSseEvent(res, 'snapshot', formatTrackingResponse(shipment, isAuthenticated));
+
+        // Events saved by any replica, not just this one
+        const unsubscribe = subscribeToTracking(shipment, ({ shipment: updated, event }) => {
+            writeSseEvent(res, 'tracking', {
+                trackingNumber: updated.trackingNumber,
+                currentStatus: updated.currentStatus,
+                progress: updated.progress,
+                estimatedDelivery: updated.service.estimatedDelivery,
+                event: isAuthenticated ? event : formatPublicEvent(event)
+            }, event._id && event._id.toString());
         });
 
-        await shipment.save();
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+    } catch (error) {
+        console.error('Tracking stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to open tracking stream'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// @route   POST /api/shipments
+// @desc    Create a new shipment
+// @access  Private
+router.post('/', audit('shipment.create', { resourceType: 'shipment' }), authenticateToken, createShipmentRules, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { shipment } = await bookShipment(req.body, req.user);
+        setAuditContext(res, { resourceId: shipment._id, metadata: { trackingNumber: shipment.trackingNumber } });
 
         res.status(201).json({
             message: 'Shipment created successfully',
@@ -168,6 +428,14 @@ router.post('/', authenticateToken, [
         });
 
     } catch (error) {
+        if (error.name === 'BookingRejected') {
+            return res.status(400).json({
+                error: error.title,
+                message: error.message,
+                ...(error.quote && { quote: error.quote })
+            });
+        }
+
         console.error('Create shipment error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -176,6 +444,66 @@ router.post('/', authenticateToken, [
     }
 });
 
+// @route   POST /api/shipments/bulk
+// @desc    Create shipments from a CSV upload (field name "file") or a JSON array
+//          ({ shipments: [...] }). Rows are validated and booked one at a time and
+//          the per-row results are streamed back. Pass dryRun=true to validate
+//          and price the rows without creating anything.
+// @access  Private
+router.post('/bulk', audit('shipment.bulk-create', { resourceType: 'shipment' }), authenticateToken, handleBulkUpload, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true' || [true, 'true'].includes(req.body.dryRun);
+    const summary = { total: 0, succeeded: 0, failed: 0, truncated: false };
+
+    try {
+        let rows;
+        if (req.file) {
+            rows = csvShipmentRows(fs.createReadStream(req.file.path));
+        } else if (Array.isArray(req.body.shipments)) {
+            rows = req.body.shipments.map((data, index) => ({ row: index + 1, data }));
+        } else {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Upload a CSV file or send a shipments array'
+            });
+        }
+
+        res.status(200).type('json');
+        res.write(`{"dryRun":${dryRun},"results":[`);
+
+        for await (const { row, data } of rows) {
+            if (summary.total >= BULK_MAX_ROWS) {
+                summary.truncated = true;
+                break;
+            }
+
+            const result = await processBulkRow(row, data, req.user, dryRun);
+
+            res.write((summary.total > 0 ? ',' : '') + JSON.stringify(result));
+            summary.total++;
+            summary[result.status === 'failed' ? 'failed' : 'succeeded']++;
+        }
+
+        setAuditContext(res, { metadata: { dryRun, ...summary } });
+        res.end(`],"summary":${JSON.stringify(summary)}}`);
+
+    } catch (error) {
+        const invalidCsv = error.name === 'CsvParseError';
+        if (!invalidCsv) console.error('Bulk create shipments error:', error);
+
+        // Once streaming has started, close the document and flag the abort
+        if (res.headersSent) {
+            const aborted = { ...summary, aborted: true, ...(invalidCsv && { error: error.message }) };
+            return res.end(`],"summary":${JSON.stringify(aborted)}}`);
+        }
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to process bulk shipments'
+        });
+    } finally {
+        if (req.file) fs.unlink(req.file.path, () => {});
+    }
+});
+
 // @route   GET /api/shipments/my
 // @desc    Get user's shipments
 // @access  Private
@@ -226,15 +554,12 @@ router.get('/my', authenticateToken, async (req, res) => {
     }
 });
 
-// @route   PUT /api/shipments/:id/tracking
-// @desc    Add tracking event to shipment (Agent/Admin only)
-// @access  Private (Agent/Admin)
-router.put('/:id/tracking', authenticateToken, requireAgent, [
-    param('id').isMongoId().withMessage('Invalid shipment ID'),
-    body('status').isIn(['Order Placed', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Cancelled', 'Exception']).withMessage('Invalid status'),
-    body('location').notEmpty().withMessage('Location is required'),
-    body('description').notEmpty().withMessage('Description is required')
-], async (req, res) => {
+// @route   GET /api/shipments/search
+// @desc    Search shipments by tracking number, parties, place, service, payment,
+//          dates, delay and assigned agent. Customers only see their own shipments.
+//          Results are cursor-paginated: pass the returned nextCursor to get the next page.
+// @access  Private
+router.get('/search', authenticateToken, searchRules, async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -246,49 +571,556 @@ router.put('/:id/tracking', authenticateToken, requireAgent, [
             });
         }
 
-        const { id } = req.params;
-        const { status, location, description, coordinates } = req.body;
+        const params = matchedData(req, { locations: ['query'] });
+        const sort = params.sort || 'createdAt';
+        const order = params.order || 'desc';
+        const limit = parseInt(params.limit) || 20;
+        const direction = order === 'asc' ? 1 : -1;
 
-        const shipment = await Shipment.findById(id);
-        
-        if (!shipment) {
-            return res.status(404).json({
-                error: 'Shipment not found',
-                message: 'No shipment found with the provided ID'
-            });
+        let filter = buildSearchFilter(params, req.user);
+
+        if (params.cursor) {
+            const cursor = decodeCursor(params.cursor, sort);
+            if (!cursor) {
+                return res.status(400).json({
+                    error: 'Invalid cursor',
+                    message: 'The cursor is invalid. Start again from the first page.'
+                });
+            }
+            filter = { $and: [filter, afterCursor(cursor, sort, order)] };
         }
 
-        // Add tracking event
-        const trackingData = {
-            status,
-            location,
-            description,
-            timestamp: new Date(),
-            agent: {
-                name: req.user.fullName,
-                id: req.user._id.toString(),
-                contact: req.user.email
+        // Fetch one extra row to know whether there is another page
+        const shipments = await Shipment.find(filter)
+            .select(['admin', 'agent'].includes(req.user.role) ? '-deliveryOtp' : '-deliveryOtp -internalNotes')
+            .slice('tracking', -1)
+            .sort({ [SORT_FIELDS[sort]]: direction, _id: direction })
+            .limit(limit + 1)
+            .populate('createdBy', 'fullName email')
+            .populate('assignedAgent', 'fullName email phone');
+
+        const hasMore = shipments.length > limit;
+        const page = shipments.slice(0, limit);
+
+        res.json({
+            shipments: page.map(shipment => ({
+                ...shipment.toJSON(),
+                tracking: undefined,
+                latestEvent: shipment.tracking[0] || null
+            })),
+            pagination: {
+                limit,
+                sort,
+                order,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
             }
-        };
+        });
 
-        if (coordinates) {
-            trackingData.coordinates = coordinates;
+    } catch (error) {
+        console.error('Search shipments error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to search shipments'
+        });
+    }
+});
+
+// @route   GET /api/shipments/sla-breaches
+// @desc    List shipments flagged by the SLA monitor. Agents see only their
+//          assigned shipments; status is open (default), resolved or all.
+// @access  Private (Agent/Admin)
+router.get('/sla-breaches', authenticateToken, requireAgent, [
+    query('reason').optional().isIn(['overdue', 'stalled']).withMessage('Reason must be overdue or stalled'),
+    query('status').optional().isIn(['open', 'resolved', 'all']).withMessage('Status must be open, resolved or all'),
+    listOf('serviceType', SERVICE_TYPES),
+    query('assignedAgent').optional().isMongoId().withMessage('Invalid agent ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
         }
 
-        await shipment.addTrackingEvent(trackingData);
+        const { reason, status = 'open', serviceType, assignedAgent } = matchedData(req, { locations: ['query'] });
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const filter = { isActive: true, 'slaBreach.detectedAt': { $ne: null } };
+        if (status === 'open') filter['slaBreach.resolvedAt'] = null;
+        if (status === 'resolved') filter['slaBreach.resolvedAt'] = { $ne: null };
+        if (reason) filter['slaBreach.reason'] = reason;
+        if (serviceType) filter['service.type'] = { $in: serviceType };
+        if (req.user.role === 'agent') {
+            filter.assignedAgent = req.user._id;
+        } else if (assignedAgent) {
+            filter.assignedAgent = assignedAgent;
+        }
+
+        const [shipments, total] = await Promise.all([
+            Shipment.find(filter)
+                .select('-deliveryOtp')
+                .slice('tracking', -1)
+                .populate('assignedAgent', 'fullName email phone')
+                .sort({ 'slaBreach.detectedAt': -1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            Shipment.countDocuments(filter)
+        ]);
 
         res.json({
-            message: 'Tracking event added successfully',
-            shipment: {
-                trackingNumber: shipment.trackingNumber,
-                currentStatus: shipment.currentStatus,
-                progress: shipment.progress,
-                latestEvent: trackingData
+            shipments: shipments.map(shipment => ({
+                ...shipment.toJSON(),
+                tracking: undefined,
+                latestEvent: shipment.tracking[0] || null
+            })),
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total,
+                limit
             }
         });
 
     } catch (error) {
-        console.error('Add tracking event error:', error);
+        console.error('Get SLA breaches error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve SLA breaches'
+        });
+    }
+});
+
+const exportRules = [
+    ...searchFilterRules,
+    query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be csv or xlsx'),
+    query('columns')
+        .optional()
+        .customSanitizer(value => [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+        .custom(columns => columns.length > 0 && columns.every(column => EXPORT_COLUMNS[column]))
+        .withMessage('Unknown export column'),
+    query('mode').optional().isIn(['auto', 'background']).withMessage('Mode must be auto or background')
+];
+
+const exportJobView = (job) => ({
+    id: job._id,
+    status: job.status,
+    format: job.format,
+    columns: job.columns,
+    rowCount: job.rowCount,
+    fileSize: job.fileSize,
+    error: job.status === 'failed' ? job.lastError : undefined,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    statusUrl: `/api/shipments/exports/${job._id}`,
+    downloadUrl: job.status === 'completed' ? `/api/shipments/exports/${job._id}/download` : null
+});
+
+// @route   GET /api/shipments/export/columns
+// @desc    List the columns available for shipment exports
+// @access  Private
+router.get('/export/columns', authenticateToken, (req, res) => {
+    res.json({
+        columns: Object.entries(EXPORT_COLUMNS).map(([key, label]) => ({ key, label })),
+        defaultColumns: DEFAULT_EXPORT_COLUMNS,
+        formats: Object.keys(EXPORT_FORMATS)
+    });
+});
+
+// @route   GET /api/shipments/export
+// @desc    Export shipments matching the search filters as CSV or XLSX. Exports
+//          over the sync limit (or with mode=background) are queued and return 202.
+// @access  Private
+router.get('/export', audit('shipment.export', { resourceType: 'shipment' }), authenticateToken, exportRules, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { format = 'csv', columns = DEFAULT_EXPORT_COLUMNS, mode = 'auto', ...params } = matchedData(req, { locations: ['query'] });
+        const filter = buildSearchFilter(params, req.user);
+        const total = await Shipment.countDocuments(filter);
+
+        setAuditContext(res, { metadata: { format, columns, filters: params, rows: total } });
+
+        if (mode === 'background' || total > SYNC_EXPORT_LIMIT) {
+            const job = await queueExport(req.user, { params, columns, format });
+            setAuditContext(res, { resourceType: 'export', resourceId: job._id.toString() });
+
+            return res.status(202).json({
+                message: `Export of ${total} shipments queued. Check the status URL for the download link.`,
+                job: exportJobView(job)
+            });
+        }
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+
+        await writeShipmentExport({ filter, columns, format }, res);
+
+    } catch (error) {
+        console.error('Export shipments error:', error);
+
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to export shipments'
+        });
+    }
+});
+
+// @route   GET /api/shipments/exports
+// @desc    List the current user's background exports
+// @access  Private
+router.get('/exports', authenticateToken, async (req, res) => {
+    try {
+        const jobs = await ExportJob.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20);
+
+        res.json({ exports: jobs.map(exportJobView) });
+
+    } catch (error) {
+        console.error('Get exports error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve exports'
+        });
+    }
+});
+
+// @route   GET /api/shipments/exports/:jobId
+// @desc    Get the status of a background export
+// @access  Private (owner only)
+router.get('/exports/:jobId', authenticateToken, [
+    param('jobId').isMongoId().withMessage('Invalid export ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const job = await ExportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+        if (!job) {
+            return res.status(404).json({
+                error: 'Export not found',
+                message: 'No export found with this ID'
+            });
+        }
+
+        res.json({ job: exportJobView(job) });
+
+    } catch (error) {
+        console.error('Get export error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve export'
+        });
+    }
+});
+
+// @route   GET /api/shipments/exports/:jobId/download
+// @desc    Download a completed background export
+// @access  Private (owner only)
+router.get('/exports/:jobId/download', authenticateToken, [
+    param('jobId').isMongoId().withMessage('Invalid export ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const job = await ExportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+        if (!job) {
+            return res.status(404).json({
+                error: 'Export not found',
+                message: 'No export found with this ID'
+            });
+        }
+
+        if (job.status === 'expired' || (job.expiresAt && job.expiresAt < new Date())) {
+            return res.status(410).json({
+                error: 'Export expired',
+                message: 'This export has expired. Please run the export again.'
+            });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                error: 'Export not ready',
+                message: job.status === 'failed' ? 'This export failed. Please run the export again.' : 'This export is still being prepared',
+                job: exportJobView(job)
+            });
+        }
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[job.format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="shipments-export-${job._id}.${EXPORT_FORMATS[job.format].extension}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (job.fileSize) res.setHeader('Content-Length', job.fileSize);
+
+        storage.read(job.fileKey)
+            .on('error', (error) => {
+                console.error('Download export error:', error);
+                if (!res.headersSent) {
+                    return res.status(404).json({
+                        error: 'Export not found',
+                        message: 'The export file is no longer available'
+                    });
+                }
+                res.destroy(error);
+            })
+            .pipe(res);
+
+    } catch (error) {
+        console.error('Download export error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to download export'
+        });
+    }
+});
+
+// @route   PUT /api/shipments/:id/tracking
+// @desc    Add tracking event to shipment (Agent/Admin only)
+// @access  Private (Agent/Admin)
+router.put('/:id/tracking', audit('shipment.tracking', { resourceType: 'shipment' }), authenticateToken, requireAgent, handlePodUpload, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    body('status').isIn(Shipment.STATUSES).withMessage('Invalid status'),
+    body('location').notEmpty().withMessage('Location is required'),
+    body('description').notEmpty().withMessage('Description is required'),
+    body('override').optional().isBoolean().withMessage('Override must be a boolean'),
+    body('overrideReason')
+        .if(body('override').equals('true'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required to override the status workflow'),
+    body('recipientName').optional().trim().isLength({ max: 100 }).withMessage('Recipient name cannot exceed 100 characters'),
+    body('otp').optional().trim().matches(/^[0-9]{6}$/).withMessage('Delivery OTP must be 6 digits')
+], async (req, res) => {
+    const storedKeys = [];
+
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { status, location, description, coordinates, overrideReason } = req.body;
+        const override = req.body.override === true || req.body.override === 'true';
+
+        if (override && req.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'Only admins can override the status workflow'
+            });
+        }
+
+        const shipment = await Shipment.findById(id);
+        
+        if (!shipment) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (!shipment.isUpdatableBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'This shipment is not assigned to you'
+            });
+        }
+
+        // Add tracking event
+        const trackingData = {
+            status,
+            location,
+            description,
+            timestamp: new Date(),
+            agent: {
+                name: req.user.fullName,
+                id: req.user._id.toString(),
+                contact: req.user.email
+            }
+        };
+
+        if (coordinates) {
+            trackingData.coordinates = coordinates;
+        }
+
+        if (override) {
+            trackingData.override = { reason: overrideReason.trim() };
+        }
+
+        // Deliveries need proof: recipient name, photo, and a signature when the package requires one
+        if (status === 'Delivered') {
+            const files = req.files || {};
+            const photo = files.photo && files.photo[0];
+            const signature = files.signature && files.signature[0];
+            const recipientName = req.body.recipientName;
+
+            if (!override) {
+                const missing = [];
+                if (!recipientName) missing.push('recipient name');
+                if (!photo) missing.push('delivery photo');
+                if (shipment.package.requiresSignature && !signature) missing.push('recipient signature');
+
+                if (missing.length > 0) {
+                    return res.status(400).json({
+                        error: 'Proof of delivery required',
+                        message: `Marking this shipment delivered requires: ${missing.join(', ')}`
+                    });
+                }
+            }
+
+            if (!shipment.canTransitionTo('Delivered') && !override) {
+                return res.status(409).json({
+                    error: 'Invalid status transition',
+                    message: `Cannot change status from '${shipment.currentStatus}' to 'Delivered'`,
+                    allowedStatuses: Shipment.STATUS_TRANSITIONS[shipment.currentStatus]
+                });
+            }
+
+            // COD, high-value and opted-in shipments need the recipient's OTP to confirm the handover
+            const otp = shipment.deliveryOtp;
+            if (!override && shipment.requiresDeliveryOtp() && !(otp && otp.verifiedAt)) {
+                // None was issued (e.g. out for delivery before OTPs existed): issue one now
+                if (!otp || !otp.codeHash) {
+                    const code = shipment.issueDeliveryOtp();
+                    await shipment.save();
+                    sendDeliveryOtp(shipment, code).catch(error => {
+                        console.error('Send delivery OTP error:', error);
+                    });
+
+                    return res.status(400).json({
+                        error: 'Delivery OTP required',
+                        message: 'A delivery OTP has been sent to the recipient. Enter it to complete the delivery'
+                    });
+                }
+
+                if (!req.body.otp) {
+                    return res.status(400).json({
+                        error: 'Delivery OTP required',
+                        message: 'Enter the delivery OTP sent to the recipient'
+                    });
+                }
+
+                const result = await shipment.verifyDeliveryOtp(req.body.otp, {
+                    agentId: req.user._id.toString(),
+                    ip: req.ip
+                });
+
+                if (result !== 'verified') {
+                    setAuditContext(res, {
+                        recordFailure: true,
+                        metadata: { deliveryOtp: result, attempts: otp.attempts }
+                    });
+
+                    const otpErrors = {
+                        invalid: [400, 'Invalid delivery OTP', `Incorrect OTP. ${Shipment.DELIVERY_OTP_MAX_ATTEMPTS - otp.attempts} attempts remaining`],
+                        expired: [410, 'Delivery OTP expired', 'The delivery OTP has expired. Mark the shipment out for delivery again to issue a new one'],
+                        locked: [423, 'Delivery OTP locked', 'Too many incorrect OTP attempts. An admin must override to complete this delivery']
+                    };
+                    const [statusCode, errorTitle, message] = otpErrors[result];
+                    return res.status(statusCode).json({ error: errorTitle, message });
+                }
+            }
+
+            const proofOfDelivery = {
+                recipientName,
+                capturedAt: new Date(),
+                capturedBy: req.user._id
+            };
+
+            if (photo) {
+                proofOfDelivery.photo = await storePodFile(shipment, 'photo', photo);
+                storedKeys.push(proofOfDelivery.photo.key);
+            }
+            if (signature) {
+                proofOfDelivery.signature = await storePodFile(shipment, 'signature', signature);
+                storedKeys.push(proofOfDelivery.signature.key);
+            }
+
+            shipment.proofOfDelivery = proofOfDelivery;
+        }
+
+        // Going out for delivery issues a fresh OTP for COD, high-value and opted-in shipments
+        let deliveryOtpCode = null;
+        if (status === 'Out for Delivery' && shipment.requiresDeliveryOtp()) {
+            deliveryOtpCode = shipment.issueDeliveryOtp();
+        }
+
+        const before = snapshot(shipment, ['currentStatus']);
+        await shipment.addTrackingEvent(trackingData);
+        setAuditContext(res, {
+            before,
+            after: snapshot(shipment, ['currentStatus']),
+            metadata: {
+                trackingNumber: shipment.trackingNumber,
+                location,
+                override: override ? trackingData.override.reason : undefined
+            }
+        });
+
+        if (deliveryOtpCode) {
+            sendDeliveryOtp(shipment, deliveryOtpCode).catch(error => {
+                console.error('Send delivery OTP error:', error);
+            });
+        }
+
+        res.json({
+            message: 'Tracking event added successfully',
+            shipment: {
+                trackingNumber: shipment.trackingNumber,
+                currentStatus: shipment.currentStatus,
+                progress: shipment.progress,
+                latestEvent: trackingData
+            }
+        });
+
+    } catch (error) {
+        // Don't leave orphaned proof-of-delivery files behind
+        storedKeys.forEach(key => storage.remove(key).catch(() => {}));
+
+        if (error.name === 'InvalidStatusTransition') {
+            return res.status(409).json({
+                error: 'Invalid status transition',
+                message: error.message,
+                allowedStatuses: error.allowedStatuses
+            });
+        }
+
+        console.error('Add tracking event error:', error);
         res.status(500).json({
             error: 'Server error',
             message: 'Failed to add tracking event'
@@ -296,6 +1128,669 @@ router.put('/:id/tracking', authenticateToken, requireAgent, [
     }
 });
 
+// @route   GET /api/shipments/:id/pod
+// @desc    Get proof-of-delivery details for a delivered shipment
+// @access  Private
+router.get('/:id/pod', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true })
+            .populate('proofOfDelivery.capturedBy', 'fullName');
+
+        if (!shipment || !shipment.isVisibleTo(req.user)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        const pod = shipment.proofOfDelivery;
+
+        if (!pod || !pod.capturedAt) {
+            return res.status(404).json({
+                error: 'Proof of delivery not found',
+                message: 'No proof of delivery has been captured for this shipment'
+            });
+        }
+
+        const fileUrl = (kind) => pod[kind] && pod[kind].key
+            ? `/api/shipments/${shipment._id}/pod/${kind}`
+            : null;
+
+        res.json({
+            trackingNumber: shipment.trackingNumber,
+            deliveredAt: shipment.deliveredAt,
+            proofOfDelivery: {
+                recipientName: pod.recipientName,
+                capturedAt: pod.capturedAt,
+                capturedBy: pod.capturedBy ? pod.capturedBy.fullName : null,
+                photoUrl: fileUrl('photo'),
+                signatureUrl: fileUrl('signature')
+            }
+        });
+
+    } catch (error) {
+        console.error('Get proof of delivery error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve proof of delivery'
+        });
+    }
+});
+
+// @route   GET /api/shipments/:id/pod/:kind
+// @desc    Download the proof-of-delivery photo or signature image
+// @access  Private
+router.get('/:id/pod/:kind', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    param('kind').isIn(['photo', 'signature']).withMessage('Kind must be photo or signature')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment || !shipment.isVisibleTo(req.user)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        const file = shipment.proofOfDelivery && shipment.proofOfDelivery[req.params.kind];
+
+        if (!file || !file.key || !(await storage.exists(file.key))) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: `No ${req.params.kind} was captured for this delivery`
+            });
+        }
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        storage.read(file.key)
+            .on('error', (error) => {
+                console.error('Get proof of delivery file error:', error);
+                if (!res.headersSent) {
+                    return res.status(404).json({
+                        error: 'File not found',
+                        message: `The ${req.params.kind} file is no longer available`
+                    });
+                }
+                res.destroy(error);
+            })
+            .pipe(res);
+
+    } catch (error) {
+        console.error('Get proof of delivery file error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve proof of delivery file'
+        });
+    }
+});
+
+// @route   GET /api/shipments/:id/label
+// @desc    Printable shipping label PDF (?size=4x6 or a4)
+// @access  Private
+router.get('/:id/label', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    query('size').optional().isIn(Object.keys(LABEL_SIZES)).withMessage(`Size must be one of: ${Object.keys(LABEL_SIZES).join(', ')}`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment || !shipment.isVisibleTo(req.user)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (shipment.currentStatus === 'Cancelled') {
+            return res.status(409).json({
+                error: 'Shipment cancelled',
+                message: 'Labels cannot be printed for a cancelled shipment'
+            });
+        }
+
+        const pdf = await createLabelPdf(shipment, req.query.size || '4x6');
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="label-${shipment.trackingNumber}.pdf"`
+        });
+        pdf.pipe(res);
+
+    } catch (error) {
+        console.error('Generate label error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to generate shipping label'
+        });
+    }
+});
+
+// @route   GET /api/shipments/:id/invoice
+// @desc    Tax invoice PDF with the cost and GST breakdown
+// @access  Private
+router.get('/:id/invoice', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment || !shipment.isVisibleTo(req.user)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        const pdf = await createInvoicePdf(shipment);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="invoice-${shipment.trackingNumber}.pdf"`
+        });
+        pdf.pipe(res);
+
+    } catch (error) {
+        console.error('Generate invoice error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to generate invoice'
+        });
+    }
+});
+
+// @route   POST /api/shipments/:id/attempts
+// @desc    Record a failed delivery attempt (Agent/Admin only)
+// @access  Private (Agent/Admin)
+router.post('/:id/attempts', audit('shipment.delivery-attempt', { resourceType: 'shipment' }), authenticateToken, requireAgent, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    body('reasonCode').isIn(Object.keys(Shipment.FAILED_ATTEMPT_REASONS)).withMessage('Invalid reason code'),
+    body('location').notEmpty().withMessage('Location is required'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (!shipment.isUpdatableBy(req.user)) {
+            return res.status(403).json({
+                error: 'Access forbidden',
+                message: 'This shipment is not assigned to you'
+            });
+        }
+
+        if (shipment.deliveryAttempts >= Shipment.MAX_DELIVERY_ATTEMPTS) {
+            return res.status(409).json({
+                error: 'Attempts exhausted',
+                message: 'All delivery attempts have been used and the shipment is being returned to origin'
+            });
+        }
+
+        if (shipment.currentStatus !== 'Out for Delivery') {
+            return res.status(409).json({
+                error: 'Invalid status transition',
+                message: `Delivery attempts can only be recorded while out for delivery. Current status: ${shipment.currentStatus}`
+            });
+        }
+
+        const { reasonCode, location, note } = req.body;
+        const attemptFields = ['currentStatus', 'deliveryAttempts', 'service.estimatedDelivery'];
+        const before = snapshot(shipment, attemptFields);
+
+        await shipment.incrementDeliveryAttempts({
+            reasonCode,
+            location,
+            note,
+            agent: {
+                name: req.user.fullName,
+                id: req.user._id.toString(),
+                contact: req.user.email
+            }
+        });
+
+        setAuditContext(res, {
+            before,
+            after: snapshot(shipment, attemptFields),
+            metadata: { trackingNumber: shipment.trackingNumber, reasonCode }
+        });
+
+        res.json({
+            message: shipment.returnToOrigin && shipment.returnToOrigin.initiatedAt
+                ? 'Final delivery attempt failed. Return to origin initiated.'
+                : 'Failed delivery attempt recorded. Re-attempt scheduled.',
+            shipment: {
+                trackingNumber: shipment.trackingNumber,
+                currentStatus: shipment.currentStatus,
+                deliveryAttempts: shipment.deliveryAttempts,
+                estimatedDelivery: shipment.service.estimatedDelivery,
+                returnToOrigin: shipment.returnToOrigin,
+                latestEvent: shipment.tracking[shipment.tracking.length - 1]
+            }
+        });
+
+    } catch (error) {
+        console.error('Record delivery attempt error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to record delivery attempt'
+        });
+    }
+});
+
+// Find an active user with the agent role
+const findActiveAgent = (agentId) => {
+    return User.findOne({ _id: agentId, role: 'agent', isActive: true });
+};
+
+// @route   PUT /api/shipments/:id/assign
+// @desc    Assign or reassign a shipment to an agent
+// @access  Private (Admin)
+router.put('/:id/assign', audit('shipment.assign', { resourceType: 'shipment' }), authenticateToken, requireAdmin, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    body('agentId').isMongoId().withMessage('Valid agent ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const [shipment, agent] = await Promise.all([
+            Shipment.findOne({ _id: req.params.id, isActive: true }),
+            findActiveAgent(req.body.agentId)
+        ]);
+
+        if (!shipment) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (!agent) {
+            return res.status(400).json({
+                error: 'Invalid agent',
+                message: 'No active agent found with the provided ID'
+            });
+        }
+
+        if (!Shipment.OPEN_STATUSES.includes(shipment.currentStatus)) {
+            return res.status(409).json({
+                error: 'Cannot assign shipment',
+                message: `Shipment is already ${shipment.currentStatus}`
+            });
+        }
+
+        const previousAgent = shipment.assignedAgent;
+        shipment.assignedAgent = agent._id;
+        shipment.assignedAt = new Date();
+        await shipment.save();
+        setAuditContext(res, {
+            before: { assignedAgent: previousAgent ? previousAgent.toString() : null },
+            after: { assignedAgent: agent._id.toString() },
+            metadata: { trackingNumber: shipment.trackingNumber }
+        });
+
+        res.json({
+            message: previousAgent ? 'Shipment reassigned successfully' : 'Shipment assigned successfully',
+            shipment: {
+                trackingNumber: shipment.trackingNumber,
+                currentStatus: shipment.currentStatus,
+                assignedAgent: {
+                    id: agent._id,
+                    fullName: agent.fullName,
+                    phone: agent.phone
+                },
+                assignedAt: shipment.assignedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Assign shipment error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to assign shipment'
+        });
+    }
+});
+
+// @route   POST /api/shipments/assign/bulk
+// @desc    Assign all open shipments for a set of pincodes, a hub or a zone to an agent
+// @access  Private (Admin)
+router.post('/assign/bulk', audit('shipment.bulk-assign', { resourceType: 'shipment' }), authenticateToken, requireAdmin, [
+    body('agentId').isMongoId().withMessage('Valid agent ID is required'),
+    body('pincodes').optional().isArray({ min: 1 }).withMessage('Pincodes must be a non-empty list'),
+    body('pincodes.*').matches(/^[0-9]{6}$/).withMessage('Each pincode must be 6 digits'),
+    body('hub').optional().isString().notEmpty().withMessage('Hub must be a hub code'),
+    body('zone').optional().isString().notEmpty().withMessage('Zone must be a zone name'),
+    body('unassignedOnly').optional().isBoolean().withMessage('unassignedOnly must be a boolean')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const { agentId, hub, zone } = req.body;
+        let pincodes = req.body.pincodes;
+
+        if (!pincodes && !hub && !zone) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Provide pincodes, a hub or a zone to assign by'
+            });
+        }
+
+        const agent = await findActiveAgent(agentId);
+
+        if (!agent) {
+            return res.status(400).json({
+                error: 'Invalid agent',
+                message: 'No active agent found with the provided ID'
+            });
+        }
+
+        // Expand a hub or zone into its pincodes from the directory
+        if (!pincodes) {
+            const directoryQuery = hub ? { hub: hub.toUpperCase() } : { zone };
+            pincodes = await Pincode.find(directoryQuery).distinct('pincode');
+        }
+
+        const query = {
+            'recipient.address.pincode': { $in: pincodes },
+            currentStatus: { $in: Shipment.OPEN_STATUSES },
+            isActive: true
+        };
+
+        if (req.body.unassignedOnly === true || req.body.unassignedOnly === 'true') {
+            query.assignedAgent = null;
+        }
+
+        const result = await Shipment.updateMany(query, {
+            assignedAgent: agent._id,
+            assignedAt: new Date()
+        });
+        setAuditContext(res, {
+            metadata: { agentId: agent._id.toString(), pincodes, hub, zone, matched: result.matchedCount, assigned: result.modifiedCount }
+        });
+
+        res.json({
+            message: `${result.modifiedCount} shipments assigned to ${agent.fullName}`,
+            matched: result.matchedCount,
+            assigned: result.modifiedCount
+        });
+
+    } catch (error) {
+        console.error('Bulk assign shipments error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to assign shipments'
+        });
+    }
+});
+
+// @route   POST /api/shipments/:id/cancel
+// @desc    Cancel a shipment before it has been picked up
+// @access  Private (Shipment creator)
+router.post('/:id/cancel', audit('shipment.cancel', { resourceType: 'shipment' }), authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment || !shipment.createdBy.equals(req.user._id)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (shipment.currentStatus !== 'Order Placed') {
+            return res.status(409).json({
+                error: 'Cannot cancel shipment',
+                message: `Shipments can only be cancelled before pickup. Current status: ${shipment.currentStatus}`
+            });
+        }
+
+        const before = snapshot(shipment, ['currentStatus']);
+        await shipment.addTrackingEvent({
+            status: 'Cancelled',
+            location: `${shipment.sender.address.city}, ${shipment.sender.address.state}`,
+            description: req.body.reason || 'Cancelled by customer',
+            timestamp: new Date()
+        });
+
+        setAuditContext(res, {
+            before,
+            after: snapshot(shipment, ['currentStatus']),
+            metadata: { trackingNumber: shipment.trackingNumber, reason: req.body.reason }
+        });
+
+        res.json({
+            message: 'Shipment cancelled successfully',
+            shipment: {
+                trackingNumber: shipment.trackingNumber,
+                currentStatus: shipment.currentStatus,
+                cancelledAt: shipment.cancelledAt,
+                cancellationReason: shipment.cancellationReason
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel shipment error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to cancel shipment'
+        });
+    }
+});
+
+// @route   POST /api/shipments/:id/reschedule
+// @desc    Choose a new delivery date before the shipment is out for delivery
+// @access  Private (Shipment creator)
+router.post('/:id/reschedule', audit('shipment.reschedule', { resourceType: 'shipment' }), authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid shipment ID'),
+    body('deliveryDate').isISO8601().withMessage('A valid delivery date is required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, isActive: true });
+
+        if (!shipment || !shipment.createdBy.equals(req.user._id)) {
+            return res.status(404).json({
+                error: 'Shipment not found',
+                message: 'No shipment found with the provided ID'
+            });
+        }
+
+        if (!['Order Placed', 'In Transit'].includes(shipment.currentStatus)) {
+            return res.status(409).json({
+                error: 'Cannot reschedule shipment',
+                message: `Shipments can only be rescheduled before they are out for delivery. Current status: ${shipment.currentStatus}`
+            });
+        }
+
+        // Deliveries happen by the end of the 9:00-18:00 IST window on the chosen day
+        const deliveryDate = closingTimeOn(new Date(req.body.deliveryDate));
+
+        const earliest = estimateDelivery(shipment.service.type, shipment.service.zone, shipment.createdAt);
+        const latest = closingTimeOn(new Date(), MAX_RESCHEDULE_DAYS);
+
+        if (deliveryDate < earliest || deliveryDate < new Date() || deliveryDate > latest) {
+            return res.status(400).json({
+                error: 'Invalid delivery date',
+                message: `Delivery date must be between ${earliest.toDateString()} and ${latest.toDateString()}`
+            });
+        }
+
+        const before = snapshot(shipment, ['service.estimatedDelivery']);
+        shipment.service.estimatedDelivery = deliveryDate;
+        shipment.rescheduledAt = new Date();
+
+        const latestEvent = shipment.tracking[shipment.tracking.length - 1];
+        const reason = req.body.reason ? ` Reason: ${req.body.reason}` : '';
+
+        await shipment.addTrackingEvent({
+            status: shipment.currentStatus,
+            location: latestEvent ? latestEvent.location : `${shipment.sender.address.city}, ${shipment.sender.address.state}`,
+            description: `Delivery rescheduled by customer to ${deliveryDate.toDateString()}.${reason}`,
+            timestamp: new Date()
+        });
+
+        setAuditContext(res, {
+            before,
+            after: snapshot(shipment, ['service.estimatedDelivery']),
+            metadata: { trackingNumber: shipment.trackingNumber, reason: req.body.reason }
+        });
+
+        res.json({
+            message: 'Delivery rescheduled successfully',
+            shipment: {
+                trackingNumber: shipment.trackingNumber,
+                currentStatus: shipment.currentStatus,
+                estimatedDelivery: shipment.service.estimatedDelivery,
+                deliveryWindow: shipment.deliveryWindow
+            }
+        });
+
+    } catch (error) {
+        console.error('Reschedule shipment error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to reschedule shipment'
+        });
+    }
+});
+
+// @route   GET /api/shipments/dashboard/analytics
+// @desc    Daily, weekly or monthly shipment analytics: volume, deliveries,
+//          on-time and exception rates (percentages), transit times, revenue and top lanes
+// @access  Private (customers see their own shipments)
+router.get('/dashboard/analytics', authenticateToken, analyticsRules, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const analytics = await buildAnalytics(matchedData(req, { locations: ['query'] }), req.user);
+
+        res.json({ analytics });
+
+    } catch (error) {
+        if (error.name === 'RangeTooLarge') {
+            return res.status(400).json({
+                error: 'Range too large',
+                message: error.message
+            });
+        }
+
+        console.error('Get dashboard analytics error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve dashboard analytics'
+        });
+    }
+});
+
 // @route   GET /api/shipments/dashboard/stats
 // @desc    Get dashboard statistics
 // @access  Private (Agent/Admin)
@@ -439,3 +1934,4 @@ router.get('/sample-data', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.apiKeyScopes = apiKeyScopes;
@@ -1,9 +1,49 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { revokeUserSessions } = require('../services/sessions');
+const { sendPasswordResetRequiredEmail } = require('../services/accountEmails');
+const { audit, setAuditContext } = require('../middleware/audit');
 
 const router = express.Router();
 
+const ROLES = ['user', 'agent', 'admin'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const userIdValidator = param('id').isMongoId().withMessage('Invalid user ID');
+
+const reasonValidator = body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters');
+
+// Load a user for an admin action, with their admin history
+const findUserForAdmin = (id) => User.findById(id).select('+adminHistory');
+
+const userNotFound = (res) => res.status(404).json({
+    error: 'User not found',
+    message: 'No user found with the provided ID'
+});
+
+// Admins can't demote or deactivate themselves, so there is always someone left to undo a change
+const isSelf = (req) => req.user._id.equals(req.params.id);
+
+const cannotChangeSelf = (res) => res.status(400).json({
+    error: 'Invalid action',
+    message: 'You cannot perform this action on your own account'
+});
+
+// Admin view of a user
+const adminUserView = (user) => ({
+    ...user.toJSON(),
+    isLocked: user.isLocked
+});
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -22,23 +62,62 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
+// @desc    Search users by name, email, phone, role, status and creation date (Admin only)
 // @access  Private (Admin)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requireAdmin, [
+    query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters'),
+    query('name').optional().isString().trim(),
+    query('email').optional().isString().trim(),
+    query('phone').optional().matches(/^[0-9]{1,10}$/).withMessage('Phone must be up to 10 digits'),
+    query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    query('status').optional().isIn(['active', 'inactive', 'locked', 'all']).withMessage('Status must be active, inactive, locked or all'),
+    query('createdFrom').optional().isISO8601().withMessage('createdFrom must be a valid date'),
+    query('createdTo').optional().isISO8601().withMessage('createdTo must be a valid date')
+], async (req, res) => {
     try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
         const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        
-        const users = await User.find({ isActive: true })
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const { q, name, email, phone, role, status = 'active', createdFrom, createdTo } = req.query;
+
+        // Build filter
+        const filter = {};
+        if (status === 'active') filter.isActive = true;
+        if (status === 'inactive') filter.isActive = false;
+        if (status === 'locked') filter.lockUntil = { $gt: new Date() };
+        if (role) filter.role = role;
+        if (name) filter.fullName = new RegExp(escapeRegex(name), 'i');
+        if (email) filter.email = new RegExp(escapeRegex(email.toLowerCase()));
+        if (phone) filter.phone = new RegExp(`^${phone}`);
+        if (q) {
+            const pattern = new RegExp(escapeRegex(q), 'i');
+            filter.$or = [{ fullName: pattern }, { email: pattern }, { phone: pattern }];
+        }
+        if (createdFrom || createdTo) {
+            filter.createdAt = {};
+            if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+            if (createdTo) filter.createdAt.$lte = new Date(createdTo);
+        }
+
+        const users = await User.find(filter)
             .select('-password')
             .sort({ createdAt: -1 })
             .limit(limit * 1)
             .skip((page - 1) * limit);
 
-        const total = await User.countDocuments({ isActive: true });
+        const total = await User.countDocuments(filter);
 
         res.json({
-            users,
+            users: users.map(adminUserView),
             pagination: {
                 current: page,
                 pages: Math.ceil(total / limit),
@@ -56,4 +135,304 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+// @route   GET /api/users/:id
+// @desc    Get a user with their admin history (Admin only)
+// @access  Private (Admin)
+router.get('/:id', authenticateToken, requireAdmin, [
+    userIdValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await findUserForAdmin(req.params.id)
+            .populate('adminHistory.performedBy', 'fullName email');
+
+        if (!user) return userNotFound(res);
+
+        res.json({
+            user: adminUserView(user),
+            adminHistory: user.adminHistory
+        });
+
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve user'
+        });
+    }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role (Admin only)
+// @access  Private (Admin)
+router.put('/:id/role', audit('user.role-change', { resourceType: 'user' }), authenticateToken, requireAdmin, [
+    userIdValidator,
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    reasonValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        if (isSelf(req)) return cannotChangeSelf(res);
+
+        const user = await findUserForAdmin(req.params.id);
+        if (!user) return userNotFound(res);
+
+        const { role, reason } = req.body;
+        if (user.role === role) {
+            return res.status(400).json({
+                error: 'No change',
+                message: `User already has the ${role} role`
+            });
+        }
+
+        user.recordAdminAction('role-change', req.user, { from: user.role, to: role, reason });
+        setAuditContext(res, { before: { role: user.role }, after: { role }, metadata: { reason } });
+        user.role = role;
+        await user.save();
+
+        res.json({
+            message: 'Role updated successfully',
+            user: adminUserView(user)
+        });
+
+    } catch (error) {
+        console.error('Change role error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to change role'
+        });
+    }
+});
+
+// @route   POST /api/users/:id/deactivate
+// @desc    Deactivate a user and sign them out everywhere (Admin only)
+// @access  Private (Admin)
+router.post('/:id/deactivate', audit('user.deactivate', { resourceType: 'user' }), authenticateToken, requireAdmin, [
+    userIdValidator,
+    reasonValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        if (isSelf(req)) return cannotChangeSelf(res);
+
+        const user = await findUserForAdmin(req.params.id);
+        if (!user) return userNotFound(res);
+
+        if (!user.isActive) {
+            return res.status(409).json({
+                error: 'Already deactivated',
+                message: 'This user is already deactivated'
+            });
+        }
+
+        user.recordAdminAction('deactivate', req.user, { reason: req.body.reason });
+        user.isActive = false;
+        await user.save();
+        setAuditContext(res, { before: { isActive: true }, after: { isActive: false }, metadata: { reason: req.body.reason } });
+
+        await revokeUserSessions(user._id, { reason: 'admin' });
+
+        res.json({
+            message: 'User deactivated successfully',
+            user: adminUserView(user)
+        });
+
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to deactivate user'
+        });
+    }
+});
+
+// @route   POST /api/users/:id/reactivate
+// @desc    Reactivate a deactivated user (Admin only)
+// @access  Private (Admin)
+router.post('/:id/reactivate', audit('user.reactivate', { resourceType: 'user' }), authenticateToken, requireAdmin, [
+    userIdValidator,
+    reasonValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await findUserForAdmin(req.params.id);
+        if (!user) return userNotFound(res);
+
+        if (user.isActive) {
+            return res.status(409).json({
+                error: 'Already active',
+                message: 'This user is already active'
+            });
+        }
+
+        user.recordAdminAction('reactivate', req.user, { reason: req.body.reason });
+        user.isActive = true;
+        await user.save();
+        setAuditContext(res, { before: { isActive: false }, after: { isActive: true }, metadata: { reason: req.body.reason } });
+
+        res.json({
+            message: 'User reactivated successfully',
+            user: adminUserView(user)
+        });
+
+    } catch (error) {
+        console.error('Reactivate user error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to reactivate user'
+        });
+    }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear a lockout from failed password or two-factor attempts (Admin only)
+// @access  Private (Admin)
+router.post('/:id/unlock', audit('user.unlock', { resourceType: 'user' }), authenticateToken, requireAdmin, [
+    userIdValidator,
+    reasonValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const user = await findUserForAdmin(req.params.id);
+        if (!user) return userNotFound(res);
+
+        if (!user.isLocked && !user.isTwoFactorLocked()) {
+            return res.status(409).json({
+                error: 'Not locked',
+                message: 'This account is not locked'
+            });
+        }
+
+        user.recordAdminAction('unlock', req.user, { reason: req.body.reason });
+        setAuditContext(res, {
+            before: { loginAttempts: user.loginAttempts, 'twoFactor.failedAttempts': user.twoFactor.failedAttempts },
+            after: { loginAttempts: 0, 'twoFactor.failedAttempts': 0 },
+            metadata: { reason: req.body.reason }
+        });
+        user.loginAttempts = 0;
+        user.lockUntil = undefined;
+        user.twoFactor.failedAttempts = 0;
+        user.twoFactor.lockUntil = undefined;
+        await user.save();
+
+        res.json({
+            message: 'Account unlocked successfully',
+            user: adminUserView(user)
+        });
+
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to unlock account'
+        });
+    }
+});
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Sign a user out and require a new password before they can log in again (Admin only)
+// @access  Private (Admin)
+router.post('/:id/force-password-reset', audit('user.force-password-reset', { resourceType: 'user' }), authenticateToken, requireAdmin, [
+    userIdValidator,
+    reasonValidator
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        if (isSelf(req)) return cannotChangeSelf(res);
+
+        const user = await findUserForAdmin(req.params.id);
+        if (!user) return userNotFound(res);
+
+        if (!user.isActive) {
+            return res.status(409).json({
+                error: 'User inactive',
+                message: 'Reactivate this user before forcing a password reset'
+            });
+        }
+
+        user.recordAdminAction('force-password-reset', req.user, { reason: req.body.reason });
+        user.passwordResetRequired = true;
+        const token = user.createPasswordResetToken();
+        await user.save();
+        await revokeUserSessions(user._id, { reason: 'admin' });
+        const apiKeysRevoked = await ApiKey.revokeAllForUser(user._id);
+
+        setAuditContext(res, {
+            before: { passwordResetRequired: false },
+            after: { passwordResetRequired: true },
+            metadata: { reason: req.body.reason, apiKeysRevoked }
+        });
+
+        sendPasswordResetRequiredEmail(user, token).catch(error => {
+            console.error('Password reset email error:', error);
+        });
+
+        res.json({
+            message: 'Password reset required. The user has been signed out, their API keys revoked and a reset link emailed.',
+            user: adminUserView(user)
+        });
+
+    } catch (error) {
+        console.error('Force password reset error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to force password reset'
+        });
+    }
+});
+
 module.exports = router;
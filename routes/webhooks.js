@@ -0,0 +1,338 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, replayDelivery, pingEndpoint } = require('../services/webhooks');
+const { authenticateToken, allowApiKey } = require('../middleware/auth');
+const { assertPublicUrl } = require('../utils/network');
+
+const router = express.Router();
+
+// Every webhook route can be used with an API key that has the webhooks:manage
+// scope. server.js mounts this ahead of the IP rate limit.
+const apiKeyScopes = express.Router();
+apiKeyScopes.use(allowApiKey('webhooks:manage'));
+
+const urlValidator = (field) => body(field)
+    .isURL({
+        protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+        require_protocol: true,
+        require_tld: process.env.NODE_ENV === 'production'
+    })
+    .withMessage('A valid webhook URL is required')
+    .bail()
+    // Webhooks must not reach internal services
+    .custom(assertPublicUrl);
+
+const eventsValidator = (field) => body(field)
+    .isArray({ min: 1 })
+    .withMessage('Subscribe to at least one event')
+    .custom(events => events.every(event => WebhookEndpoint.EVENTS.includes(event)))
+    .withMessage(`Events must be one of: ${WebhookEndpoint.EVENTS.join(', ')}`);
+
+const findOwnEndpoint = (req, withSecret = false) => {
+    const finder = WebhookEndpoint.findOne({ _id: req.params.id, user: req.user._id });
+    return withSecret ? finder.select('+secret') : finder;
+};
+
+const endpointNotFound = (res) => res.status(404).json({
+    error: 'Webhook not found',
+    message: 'No webhook endpoint found with the provided ID'
+});
+
+// @route   GET /api/webhooks
+// @desc    List the current user's webhook endpoints
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const endpoints = await WebhookEndpoint.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({ endpoints });
+
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve webhook endpoints'
+        });
+    }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook endpoint. The signing secret is only returned here.
+// @access  Private
+router.post('/', authenticateToken, [
+    urlValidator('url'),
+    eventsValidator('events'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const secret = generateSecret();
+        const endpoint = await WebhookEndpoint.create({
+            user: req.user._id,
+            url: req.body.url,
+            description: req.body.description,
+            events: [...new Set(req.body.events)],
+            secret
+        });
+
+        res.status(201).json({
+            message: 'Webhook endpoint created. Store the secret now; it will not be shown again.',
+            endpoint,
+            secret
+        });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create webhook endpoint'
+        });
+    }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook endpoint's URL, events, description or active flag
+// @access  Private
+router.put('/:id', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    urlValidator('url').optional(),
+    eventsValidator('events').optional(),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const endpoint = await findOwnEndpoint(req);
+        if (!endpoint) return endpointNotFound(res);
+
+        const { url, events, description, isActive } = req.body;
+        if (url !== undefined) endpoint.url = url;
+        if (events !== undefined) endpoint.events = [...new Set(events)];
+        if (description !== undefined) endpoint.description = description;
+        if (isActive !== undefined) endpoint.isActive = isActive === true || isActive === 'true';
+
+        await endpoint.save();
+
+        res.json({
+            message: 'Webhook endpoint updated successfully',
+            endpoint
+        });
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update webhook endpoint'
+        });
+    }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook endpoint
+// @access  Private
+router.delete('/:id', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid webhook ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const endpoint = await findOwnEndpoint(req);
+        if (!endpoint) return endpointNotFound(res);
+
+        await endpoint.deleteOne();
+        await WebhookDelivery.updateMany(
+            { endpoint: endpoint._id, status: { $in: ['pending', 'sending'] } },
+            { status: 'failed', lastError: 'Endpoint deleted' }
+        );
+
+        res.json({
+            message: 'Webhook endpoint deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete webhook endpoint'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/:id/ping
+// @desc    Send a signed test event to the endpoint and report the response
+// @access  Private
+router.post('/:id/ping', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid webhook ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const endpoint = await findOwnEndpoint(req, true);
+        if (!endpoint) return endpointNotFound(res);
+
+        const delivery = await pingEndpoint(endpoint);
+
+        // The status only; the response body is never echoed back
+        res.json({
+            message: delivery.status === 'succeeded' ? 'Ping delivered successfully' : 'Ping failed',
+            delivery: {
+                _id: delivery._id,
+                event: delivery.event,
+                status: delivery.status,
+                responseStatus: delivery.responseStatus,
+                lastError: delivery.lastError,
+                durationMs: delivery.durationMs,
+                createdAt: delivery.createdAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Ping webhook error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to ping webhook endpoint'
+        });
+    }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log for a webhook endpoint
+// @access  Private
+router.get('/:id/deliveries', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    query('status').optional().isIn(['pending', 'sending', 'succeeded', 'failed']).withMessage('Invalid delivery status')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const endpoint = await findOwnEndpoint(req);
+        if (!endpoint) return endpointNotFound(res);
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const filter = { endpoint: endpoint._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .select('-responseBody')
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({
+            deliveries,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total,
+                limit
+            }
+        });
+
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to retrieve webhook deliveries'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @desc    Re-send an earlier delivery's payload
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/replay', authenticateToken, [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: 'Please check your input',
+                details: errors.array()
+            });
+        }
+
+        const endpoint = await findOwnEndpoint(req);
+        if (!endpoint) return endpointNotFound(res);
+
+        const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, endpoint: endpoint._id });
+
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                message: 'No delivery found with the provided ID'
+            });
+        }
+
+        const replay = await replayDelivery(delivery);
+
+        res.status(202).json({
+            message: 'Delivery queued for replay',
+            delivery: replay
+        });
+
+    } catch (error) {
+        console.error('Replay webhook delivery error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to replay webhook delivery'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.apiKeyScopes = apiKeyScopes;
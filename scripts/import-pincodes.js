@@ -0,0 +1,31 @@
+// Load the pincode directory from a CSV file
+// Usage: node scripts/import-pincodes.js [path/to/pincodes.csv]
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { importPincodesFromCsv } = require('../services/pincodeDirectory');
+
+const csvPath = process.argv[2] || path.join(__dirname, '..', 'data', 'pincodes.sample.csv');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/logistics-tracker', {
+        serverSelectionTimeoutMS: 5000
+    });
+
+    const { imported, failed } = await importPincodesFromCsv(fs.createReadStream(csvPath));
+
+    console.log(`✅ Imported ${imported} pincodes from ${csvPath}`);
+    failed.forEach(row => {
+        console.log(`⚠️  Line ${row.line} (${row.pincode}): ${row.message}`);
+    });
+};
+
+run()
+    .catch((error) => {
+        console.error('❌ Pincode import failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
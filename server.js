@@ -14,6 +14,18 @@ const app = express();
 const authRoutes = require('./routes/auth');
 const shipmentRoutes = require('./routes/shipments');
 const userRoutes = require('./routes/users');
+const rateRoutes = require('./routes/rates');
+const pincodeRoutes = require('./routes/pincodes');
+const agentRoutes = require('./routes/agents');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditLogRoutes = require('./routes/auditLogs');
+const { hasScopedApiKey } = require('./middleware/auth');
+const { startNotificationWorker } = require('./services/notifications');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startExportWorker } = require('./services/shipmentExport');
+const { startSlaMonitor } = require('./services/slaMonitor');
+const { startEtaUpdates } = require('./services/etaPredictor');
 
 // Security middleware
 app.use(helmet({
@@ -25,15 +37,19 @@ app.use(helmet({
 const limiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    // Requests with a valid key for a route that accepts keys are limited per key instead
+    skip: (req) => hasScopedApiKey(req).catch(() => false)
 });
+app.use('/api/shipments', shipmentRoutes.apiKeyScopes);
+app.use('/api/webhooks', webhookRoutes.apiKeyScopes);
 app.use('/api', limiter);
 
 // CORS configuration
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? 'your-production-domain.com' : '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
     credentials: true
 }));
 
@@ -41,8 +57,23 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files (your HTML, CSS, JS, images)
-app.use(express.static(path.join(__dirname)));
+// Serve the front-end pages and client script. Only these files are public;
+// the rest of the project directory (source, config, uploads) is never served.
+const PUBLIC_FILES = new Set([
+    '/about.html',
+    '/api-client.js',
+    '/contact.html',
+    '/dashboard.html',
+    '/index.html',
+    '/profile.html',
+    '/reset-password.html',
+    '/services.html',
+    '/sign-up.html',
+    '/track.html',
+    '/verify-email.html'
+]);
+const staticFiles = express.static(path.join(__dirname), { index: false });
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? staticFiles(req, res, next) : next()));
 
 // MongoDB connection
 let mongoConnected = false;
@@ -52,6 +83,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/logistics
 .then(() => {
     console.log('✅ Connected to MongoDB successfully');
     mongoConnected = true;
+    startNotificationWorker();
+    startWebhookWorker();
+    startExportWorker();
+    startSlaMonitor();
+    startEtaUpdates();
 })
 .catch((error) => {
     console.error('❌ MongoDB connection error:', error.message);
@@ -64,6 +100,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/logistics
 app.use('/api/auth', authRoutes);
 app.use('/api/shipments', shipmentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/rates', rateRoutes);
+app.use('/api/pincodes', pincodeRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // API health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,65 @@
+// Account emails: password resets and email verification. They carry
+// single-use secrets, so they go straight to the email transport instead of
+// being stored in the notification queue. Set EMAIL_TRANSPORT=console or file
+// to read them locally.
+
+const { getTransport } = require('./notifications/transports');
+
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const templates = {
+    en: {
+        password_reset: (user, link) => ({
+            subject: 'Reset your TrackShip India password',
+            text: `Hi ${user.fullName},\n\nWe received a request to reset your password. Use the link below within 1 hour:\n\n${link}\n\nIf you did not ask for this, you can ignore this email; your password will not change.`
+        }),
+        password_reset_required: (user, link) => ({
+            subject: 'Action required: set a new TrackShip India password',
+            text: `Hi ${user.fullName},\n\nAn administrator has required a password reset on your account and signed you out. Set a new password within 1 hour using the link below:\n\n${link}\n\nIf the link expires, use "Forgot password" on the login page to get a new one.`
+        }),
+        email_verification: (user, link) => ({
+            subject: 'Verify your TrackShip India email address',
+            text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below within 24 hours:\n\n${link}`
+        })
+    },
+    hi: {
+        password_reset: (user, link) => ({
+            subject: 'अपना TrackShip India पासवर्ड रीसेट करें',
+            text: `नमस्ते ${user.fullName},\n\nहमें आपका पासवर्ड रीसेट करने का अनुरोध मिला है। 1 घंटे के भीतर नीचे दिए गए लिंक का उपयोग करें:\n\n${link}\n\nयदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें; आपका पासवर्ड नहीं बदलेगा।`
+        }),
+        password_reset_required: (user, link) => ({
+            subject: 'आवश्यक कार्रवाई: नया TrackShip India पासवर्ड सेट करें',
+            text: `नमस्ते ${user.fullName},\n\nएक व्यवस्थापक ने आपके खाते का पासवर्ड रीसेट करना आवश्यक किया है और आपको साइन आउट कर दिया है। 1 घंटे के भीतर नीचे दिए गए लिंक से नया पासवर्ड सेट करें:\n\n${link}\n\nयदि लिंक की समय-सीमा समाप्त हो जाए, तो लॉगिन पेज पर "पासवर्ड भूल गए" का उपयोग करके नया लिंक प्राप्त करें।`
+        }),
+        email_verification: (user, link) => ({
+            subject: 'अपना TrackShip India ईमेल पता सत्यापित करें',
+            text: `नमस्ते ${user.fullName},\n\nकृपया 24 घंटे के भीतर नीचे दिए गए लिंक को खोलकर अपना ईमेल पता सत्यापित करें:\n\n${link}`
+        })
+    }
+};
+
+const send = (templateName, user, link) => {
+    const language = user.preferences && templates[user.preferences.language] ? user.preferences.language : 'en';
+    const { subject, text } = templates[language][templateName](user, link);
+
+    return getTransport('email').send({ to: user.email, subject, text });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+    return send('password_reset', user, `${APP_URL}/reset-password.html?token=${token}`);
+};
+
+// Sent when an admin forces a password reset
+const sendPasswordResetRequiredEmail = (user, token) => {
+    return send('password_reset_required', user, `${APP_URL}/reset-password.html?token=${token}`);
+};
+
+const sendVerificationEmail = (user, token) => {
+    return send('email_verification', user, `${APP_URL}/verify-email.html?token=${token}`);
+};
+
+module.exports = {
+    sendPasswordResetEmail,
+    sendPasswordResetRequiredEmail,
+    sendVerificationEmail
+};
@@ -0,0 +1,46 @@
+// Estimated delivery dates by service type and delivery zone. Transit times
+// count business hours only (see utils/businessCalendar), so a shipment
+// booked on Saturday evening isn't expected on Sunday.
+
+const { BUSINESS_DAY_HOURS, addBusinessHours } = require('../utils/businessCalendar');
+
+// Committed transit time for each service type, in business hours
+const SERVICE_TRANSIT_HOURS = {
+    'hyperlocal': 6,
+    'same-day': BUSINESS_DAY_HOURS,
+    'next-day': 2 * BUSINESS_DAY_HOURS,
+    'standard': 4 * BUSINESS_DAY_HOURS,
+    'economy': 7 * BUSINESS_DAY_HOURS,
+    'express': BUSINESS_DAY_HOURS
+};
+
+// Extra business days added for distance on services without a time-definite commitment
+const ZONE_EXTRA_DAYS = {
+    'local': 0,
+    'regional': 1,
+    'zonal': 2,
+    'national': 3,
+    'special': 5
+};
+
+const TIME_DEFINITE_SERVICES = ['hyperlocal', 'same-day', 'next-day'];
+
+// Committed transit time for a service and zone, in business hours
+const transitHours = (serviceType, zone) => {
+    let hours = SERVICE_TRANSIT_HOURS[serviceType];
+
+    if (!TIME_DEFINITE_SERVICES.includes(serviceType)) {
+        hours += (ZONE_EXTRA_DAYS[zone] || 0) * BUSINESS_DAY_HOURS;
+    }
+
+    return hours;
+};
+
+const estimateDelivery = (serviceType, zone, from = new Date()) => {
+    return addBusinessHours(from, transitHours(serviceType, zone));
+};
+
+module.exports = {
+    transitHours,
+    estimateDelivery
+};
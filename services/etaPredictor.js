@@ -0,0 +1,232 @@
+// Predicted delivery times from the transit times of recently delivered
+// shipments. History is matched on service type and origin/destination city
+// lane, falling back to the delivery zone and then to the service commitment.
+// Durations are measured in business hours from the stage the shipment is in
+// now, so the prediction tightens as tracking events arrive.
+//
+// Predictions are stored on the shipment when it is booked, on each tracking
+// event and by a periodic refresh for shipments without a recent one, so
+// reading an ETA never runs the history aggregation.
+
+const os = require('os');
+const Shipment = require('../models/Shipment');
+const JobLock = require('../models/JobLock');
+const shipmentEvents = require('./shipmentEvents');
+const { transitHours } = require('./deliveryEstimator');
+const { BUSINESS_DAY_HOURS, addBusinessHours, businessHoursBetween } = require('../utils/businessCalendar');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = parseInt(process.env.ETA_HISTORY_DAYS) || 90;
+const HISTORY_LIMIT = 500;
+const HISTORY_CACHE_MS = 60 * 60 * 1000;
+const MIN_SAMPLES = 5;
+
+const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+const STALE_AFTER_MS = (parseInt(process.env.ETA_REFRESH_HOURS) || 6) * 60 * 60 * 1000;
+const REFRESH_BATCH = 500;
+const LOCK_NAME = 'eta-refresh';
+const LOCK_OWNER = `${os.hostname()}:${process.pid}`;
+
+// Stages with their own history; the rest are treated as the last stage reached
+const STAGES = ['Order Placed', 'In Transit', 'Out for Delivery'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactCity = (city) => new RegExp(`^${escapeRegex(String(city || '').trim())}$`, 'i');
+
+// Percentile of a sorted list, interpolating between neighbours
+const percentile = (sorted, p) => {
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const confidenceFor = (sampleSize) => {
+    if (sampleSize >= 30) return 'high';
+    if (sampleSize >= 10) return 'medium';
+    return 'low';
+};
+
+// The stage a shipment is in and when it entered it
+const currentStage = (shipment) => {
+    for (let i = shipment.tracking.length - 1; i >= 0; i--) {
+        const { status } = shipment.tracking[i];
+        if (!STAGES.includes(status)) continue;
+
+        // Walk back to the first event of this run of the stage
+        let start = i;
+        while (start > 0 && [status, 'Exception'].includes(shipment.tracking[start - 1].status)) start--;
+        while (shipment.tracking[start].status !== status) start++;
+
+        const enteredAt = status === 'Order Placed' ? shipment.createdAt : shipment.tracking[start].timestamp;
+        return { stage: status, enteredAt: enteredAt || shipment.tracking[start].timestamp };
+    }
+    return { stage: 'Order Placed', enteredAt: shipment.createdAt || new Date() };
+};
+
+const historyCache = new Map();
+
+// Business hours from entering a stage to delivery for recent matching deliveries
+const loadHistory = async (match, stage) => {
+    const key = JSON.stringify([match, stage], (name, value) => (value instanceof RegExp ? value.source.toLowerCase() : value));
+    const cached = historyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.durations;
+
+    const since = new Date(Date.now() - HISTORY_DAYS * DAY);
+    const stageStart = stage === 'Order Placed'
+        ? '$createdAt'
+        : {
+            $min: {
+                $map: {
+                    input: { $filter: { input: '$tracking', cond: { $eq: ['$$this.status', stage] } } },
+                    in: '$$this.timestamp'
+                }
+            }
+        };
+
+    const rows = await Shipment.aggregate([
+        { $match: { ...match, currentStatus: 'Delivered', isActive: true, deliveredAt: { $gte: since } } },
+        { $sort: { deliveredAt: -1 } },
+        { $limit: HISTORY_LIMIT },
+        { $project: { _id: 0, start: stageStart, deliveredAt: 1 } },
+        { $match: { start: { $ne: null } } }
+    ]);
+
+    const durations = rows
+        .map(row => businessHoursBetween(row.start, row.deliveredAt))
+        .sort((a, b) => a - b);
+
+    historyCache.set(key, { durations, expiresAt: Date.now() + HISTORY_CACHE_MS });
+    return durations;
+};
+
+// Predict when an open shipment will be delivered. Resolves to
+// { expected, earliest, latest, confidence, basis, sampleSize, updatedAt },
+// or null for shipments that are delivered, returned or cancelled.
+const predictEta = async (shipment, now = new Date()) => {
+    if (!Shipment.OPEN_STATUSES.includes(shipment.currentStatus)) return null;
+
+    const { stage, enteredAt } = currentStage(shipment);
+    const elapsed = businessHoursBetween(enteredAt, now);
+    const serviceType = shipment.service.type;
+
+    const sources = [
+        {
+            basis: 'lane',
+            match: {
+                'service.type': serviceType,
+                'sender.address.city': exactCity(shipment.sender.address.city),
+                'recipient.address.city': exactCity(shipment.recipient.address.city)
+            }
+        },
+        ...(shipment.service.zone ? [{ basis: 'zone', match: { 'service.type': serviceType, 'service.zone': shipment.service.zone } }] : [])
+    ];
+
+    for (const { basis, match } of sources) {
+        // Only deliveries that took longer than this shipment has already spent in its stage
+        const durations = (await loadHistory(match, stage)).filter(hours => hours > elapsed);
+        if (durations.length < MIN_SAMPLES) continue;
+
+        return {
+            expected: addBusinessHours(enteredAt, percentile(durations, 0.5)),
+            earliest: addBusinessHours(enteredAt, percentile(durations, 0.1)),
+            latest: addBusinessHours(enteredAt, percentile(durations, 0.9)),
+            confidence: confidenceFor(durations.length),
+            basis,
+            sampleSize: durations.length,
+            updatedAt: now
+        };
+    }
+
+    // Not enough history: the service commitment, or a day out if that has passed
+    const committed = shipment.service.estimatedDelivery ||
+        addBusinessHours(enteredAt, transitHours(serviceType, shipment.service.zone));
+    const expected = committed > now ? committed : addBusinessHours(now, BUSINESS_DAY_HOURS);
+
+    return {
+        expected,
+        earliest: expected,
+        latest: addBusinessHours(expected, BUSINESS_DAY_HOURS),
+        confidence: 'low',
+        basis: 'service-standard',
+        sampleSize: 0,
+        updatedAt: now
+    };
+};
+
+// Recompute and store a shipment's ETA
+const refreshEta = async (shipment) => {
+    const eta = await predictEta(shipment);
+
+    await Shipment.updateOne(
+        { _id: shipment._id },
+        eta ? { $set: { eta } } : { $unset: { eta: 1 } }
+    );
+    shipment.eta = eta || undefined;
+
+    return eta;
+};
+
+const onTracking = ({ shipment }) => {
+    refreshEta(shipment).catch(error => console.error('ETA refresh error:', error));
+};
+
+let refreshing = false;
+
+// Predict ETAs for open shipments that have none (booked before prediction
+// existed) or whose prediction is older than STALE_AFTER_MS. Resolves to the
+// number refreshed, or null when another replica holds the lease.
+const refreshStaleEtas = async () => {
+    if (refreshing) return null;
+    refreshing = true;
+
+    try {
+        if (!await JobLock.acquire(LOCK_NAME, LOCK_OWNER, 2 * REFRESH_INTERVAL_MS)) return null;
+
+        const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+        const shipments = await Shipment.find({
+            isActive: true,
+            currentStatus: { $in: Shipment.OPEN_STATUSES },
+            $or: [{ 'eta.updatedAt': null }, { 'eta.updatedAt': { $lt: staleBefore } }]
+        })
+            .sort({ 'eta.updatedAt': 1 })
+            .limit(REFRESH_BATCH);
+
+        let refreshed = 0;
+        for (const shipment of shipments) {
+            try {
+                await refreshEta(shipment);
+                refreshed++;
+            } catch (error) {
+                console.error(`ETA refresh error for shipment ${shipment._id}:`, error);
+            }
+        }
+        return refreshed;
+    } finally {
+        refreshing = false;
+    }
+};
+
+let refreshTimer = null;
+
+// Refresh the ETA whenever a tracking event is saved, and periodically for
+// shipments without a recent prediction
+const startEtaUpdates = () => {
+    if (refreshTimer) return;
+
+    shipmentEvents.on('tracking', onTracking);
+
+    refreshTimer = setInterval(() => {
+        refreshStaleEtas().catch(error => console.error('ETA refresh error:', error));
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+
+    setImmediate(() => refreshStaleEtas().catch(error => console.error('ETA refresh error:', error)));
+};
+
+module.exports = {
+    predictEta,
+    refreshEta,
+    refreshStaleEtas,
+    startEtaUpdates
+};
@@ -0,0 +1,220 @@
+// Customer notifications for shipment lifecycle events. Messages are queued in
+// MongoDB and delivered by a polling worker with retries, so several server
+// replicas can share the queue safely.
+
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const shipmentEvents = require('../shipmentEvents');
+const { renderTemplate } = require('./templates');
+const { getTransport } = require('./transports');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+const POLL_INTERVAL_MS = 30 * 1000;
+const LOCK_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// Tracking statuses that trigger a customer notification
+const STATUS_TEMPLATES = {
+    'Out for Delivery': 'out_for_delivery',
+    'Delivered': 'delivered',
+    'Exception': 'exception'
+};
+
+// SLA breaches whose Exception event gets its own customer notification
+const SLA_BREACH_TEMPLATES = {
+    'overdue': 'delayed'
+};
+
+const templateFor = (event) => SLA_BREACH_TEMPLATES[event.slaBreach] || STATUS_TEMPLATES[event.status];
+
+const DEFAULT_PREFERENCES = {
+    notifications: { email: true, sms: true },
+    language: 'en'
+};
+
+// The shipment's creator and its recipient. A recipient without an
+// account is contacted with the default preferences.
+const getAudience = async (shipment) => {
+    const [creator, recipientUser] = await Promise.all([
+        User.findById(shipment.createdBy),
+        User.findOne({
+            $or: [
+                ...(shipment.recipient.email ? [{ email: shipment.recipient.email }] : []),
+                { phone: shipment.recipient.phone }
+            ],
+            isActive: true
+        })
+    ]);
+
+    const audience = [];
+
+    if (creator && creator.isActive) {
+        audience.push({ user: creator._id, email: creator.email, phone: creator.phone, preferences: creator.preferences });
+    }
+
+    if (recipientUser) {
+        if (!creator || !recipientUser._id.equals(creator._id)) {
+            audience.push({ user: recipientUser._id, email: recipientUser.email, phone: recipientUser.phone, preferences: recipientUser.preferences });
+        }
+    } else {
+        audience.push({ email: shipment.recipient.email, phone: shipment.recipient.phone, preferences: DEFAULT_PREFERENCES });
+    }
+
+    return audience;
+};
+
+// Queue a templated notification about a shipment for everyone who should hear about it
+const notifyShipment = async (shipment, templateName) => {
+    const audience = await getAudience(shipment);
+    const notifications = [];
+
+    audience.forEach(({ user, email, phone, preferences }) => {
+        const { language, subject, text } = renderTemplate(templateName, preferences.language, shipment);
+        const base = { user, shipment: shipment._id, template: templateName, language };
+
+        if (preferences.notifications.email && email) {
+            notifications.push({ ...base, channel: 'email', to: email, subject, body: text });
+        }
+        if (preferences.notifications.sms && phone) {
+            notifications.push({ ...base, channel: 'sms', to: phone, body: text });
+        }
+    });
+
+    if (notifications.length === 0) return [];
+
+    const queued = await Notification.insertMany(notifications);
+
+    // Don't wait for the next poll to send
+    setImmediate(() => processQueue().catch(error => console.error('Notification queue error:', error)));
+
+    return queued;
+};
+
+// Queue a templated notification about a shipment for staff users, such as
+// the assigned agent, using each user's own channel and language preferences
+const notifyStaff = async (shipment, templateName, users) => {
+    const notifications = [];
+
+    users.filter(user => user.isActive).forEach(user => {
+        const preferences = user.preferences || DEFAULT_PREFERENCES;
+        const { language, subject, text } = renderTemplate(templateName, preferences.language, shipment);
+        const base = { user: user._id, shipment: shipment._id, template: templateName, language };
+
+        if (preferences.notifications.email && user.email) {
+            notifications.push({ ...base, channel: 'email', to: user.email, subject, body: text });
+        }
+        if (preferences.notifications.sms && user.phone) {
+            notifications.push({ ...base, channel: 'sms', to: user.phone, body: text });
+        }
+    });
+
+    if (notifications.length === 0) return [];
+
+    const queued = await Notification.insertMany(notifications);
+
+    setImmediate(() => processQueue().catch(error => console.error('Notification queue error:', error)));
+
+    return queued;
+};
+
+// Atomically claim the next due notification, including ones whose sender died mid-send
+const claimNext = () => {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const deliver = async (notification) => {
+    try {
+        await getTransport(notification.channel).send({
+            to: notification.to,
+            subject: notification.subject,
+            text: notification.body
+        });
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.lastError = undefined;
+    } catch (error) {
+        notification.lastError = error.message;
+
+        if (notification.attempts >= MAX_ATTEMPTS) {
+            notification.status = 'failed';
+        } else {
+            const delay = RETRY_DELAYS_MS[Math.min(notification.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+            notification.status = 'pending';
+            notification.nextAttemptAt = new Date(Date.now() + delay);
+        }
+    }
+
+    notification.lockedUntil = undefined;
+    await notification.save();
+};
+
+let processing = false;
+
+// Send up to BATCH_SIZE due notifications
+const processQueue = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const notification = await claimNext();
+            if (!notification) break;
+            await deliver(notification);
+        }
+    } finally {
+        processing = false;
+    }
+};
+
+const onTracking = ({ shipment, event }) => {
+    const templateName = templateFor(event);
+    if (!templateName) return;
+
+    notifyShipment(shipment, templateName).catch(error => {
+        console.error('Queue tracking notification error:', error);
+    });
+};
+
+const onCreated = ({ shipment }) => {
+    notifyShipment(shipment, 'order_placed').catch(error => {
+        console.error('Queue order notification error:', error);
+    });
+};
+
+let workerTimer = null;
+
+// Subscribe to shipment events and start polling the queue
+const startNotificationWorker = () => {
+    if (workerTimer) return;
+
+    shipmentEvents.on('created', onCreated);
+    shipmentEvents.on('tracking', onTracking);
+
+    workerTimer = setInterval(() => {
+        processQueue().catch(error => console.error('Notification queue error:', error));
+    }, POLL_INTERVAL_MS);
+    workerTimer.unref();
+};
+
+module.exports = {
+    notifyShipment,
+    notifyStaff,
+    processQueue,
+    startNotificationWorker
+};
@@ -0,0 +1,85 @@
+// Message templates by template name and language. Each template returns
+// { subject, text }; SMS uses only the text. Languages without a
+// translation fall back to English.
+
+const formatDate = (date, locale) => {
+    return date ? new Date(date).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+};
+
+const latestEvent = (shipment) => shipment.tracking[shipment.tracking.length - 1] || {};
+
+const templates = {
+    en: {
+        order_placed: (shipment) => ({
+            subject: `Shipment ${shipment.trackingNumber} booked`,
+            text: `Your shipment ${shipment.trackingNumber} to ${shipment.recipient.address.city} has been booked. Expected delivery: ${formatDate(shipment.service.estimatedDelivery, 'en-IN')}.`
+        }),
+        out_for_delivery: (shipment) => ({
+            subject: `Shipment ${shipment.trackingNumber} is out for delivery`,
+            text: `Your shipment ${shipment.trackingNumber} is out for delivery today and will arrive between 9 AM and 6 PM.`
+        }),
+        delivered: (shipment) => ({
+            subject: `Shipment ${shipment.trackingNumber} delivered`,
+            text: `Your shipment ${shipment.trackingNumber} was delivered at ${latestEvent(shipment).location || shipment.recipient.address.city}. Thank you for shipping with TrackShip India.`
+        }),
+        exception: (shipment) => ({
+            subject: `Update on shipment ${shipment.trackingNumber}`,
+            text: `There is an issue with shipment ${shipment.trackingNumber}: ${latestEvent(shipment).description || 'please contact support'}.`
+        }),
+        delayed: (shipment) => ({
+            subject: `Shipment ${shipment.trackingNumber} is delayed`,
+            text: `Shipment ${shipment.trackingNumber} is running late. We are working to deliver it as soon as possible and apologise for the delay.`
+        }),
+        // Staff alert from the SLA monitor
+        sla_breach: (shipment) => ({
+            subject: `SLA breach: shipment ${shipment.trackingNumber}`,
+            text: shipment.slaBreach.reason === 'overdue'
+                ? `Shipment ${shipment.trackingNumber} (${shipment.service.type}) to ${shipment.recipient.address.city} is past its estimated delivery of ${formatDate(shipment.service.estimatedDelivery, 'en-IN')} and is still ${latestEvent(shipment).status || shipment.currentStatus}. Please follow up.`
+                : `Shipment ${shipment.trackingNumber} (${shipment.service.type}) to ${shipment.recipient.address.city} has had no tracking update since ${formatDate(latestEvent(shipment).timestamp, 'en-IN')} (last scan: ${latestEvent(shipment).location || 'unknown'}). Please follow up.`
+        })
+    },
+    hi: {
+        order_placed: (shipment) => ({
+            subject: `शिपमेंट ${shipment.trackingNumber} बुक हो गया`,
+            text: `${shipment.recipient.address.city} के लिए आपका शिपमेंट ${shipment.trackingNumber} बुक हो गया है। अनुमानित डिलीवरी: ${formatDate(shipment.service.estimatedDelivery, 'hi-IN')}।`
+        }),
+        out_for_delivery: (shipment) => ({
+            subject: `शिपमेंट ${shipment.trackingNumber} डिलीवरी के लिए निकला`,
+            text: `आपका शिपमेंट ${shipment.trackingNumber} आज डिलीवरी के लिए निकला है और सुबह 9 से शाम 6 बजे के बीच पहुँचेगा।`
+        }),
+        delivered: (shipment) => ({
+            subject: `शिपमेंट ${shipment.trackingNumber} डिलीवर हो गया`,
+            text: `आपका शिपमेंट ${shipment.trackingNumber} ${latestEvent(shipment).location || shipment.recipient.address.city} पर डिलीवर कर दिया गया है। TrackShip India चुनने के लिए धन्यवाद।`
+        }),
+        exception: (shipment) => ({
+            subject: `शिपमेंट ${shipment.trackingNumber} पर अपडेट`,
+            text: `शिपमेंट ${shipment.trackingNumber} में समस्या है: ${latestEvent(shipment).description || 'कृपया सहायता से संपर्क करें'}।`
+        }),
+        delayed: (shipment) => ({
+            subject: `शिपमेंट ${shipment.trackingNumber} में देरी`,
+            text: `शिपमेंट ${shipment.trackingNumber} में देरी हो रही है। हम इसे जल्द से जल्द पहुँचाने का प्रयास कर रहे हैं।`
+        }),
+        sla_breach: (shipment) => ({
+            subject: `SLA उल्लंघन: शिपमेंट ${shipment.trackingNumber}`,
+            text: shipment.slaBreach.reason === 'overdue'
+                ? `${shipment.recipient.address.city} के लिए शिपमेंट ${shipment.trackingNumber} (${shipment.service.type}) अपनी अनुमानित डिलीवरी ${formatDate(shipment.service.estimatedDelivery, 'hi-IN')} से आगे निकल गया है। कृपया जाँच करें।`
+                : `${shipment.recipient.address.city} के लिए शिपमेंट ${shipment.trackingNumber} (${shipment.service.type}) का ${formatDate(latestEvent(shipment).timestamp, 'hi-IN')} से कोई ट्रैकिंग अपडेट नहीं है। कृपया जाँच करें।`
+        })
+    }
+};
+
+const TEMPLATE_NAMES = Object.keys(templates.en);
+
+const renderTemplate = (name, language, shipment) => {
+    const localized = templates[language] && templates[language][name];
+    const used = localized ? language : 'en';
+    return {
+        language: used,
+        ...(localized || templates.en[name])(shipment)
+    };
+};
+
+module.exports = {
+    TEMPLATE_NAMES,
+    renderTemplate
+};
@@ -0,0 +1,117 @@
+// Delivery transports for notification channels. Pick one per channel with
+// EMAIL_TRANSPORT (smtp | console | file) and SMS_TRANSPORT (gateway | console | file).
+// Every transport exposes send({ to, subject, text }) and throws on failure.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = () => {
+    const mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        async send({ to, subject, text }) {
+            await mailer.sendMail({
+                from: process.env.MAIL_FROM || 'TrackShip India <no-reply@trackship.in>',
+                to,
+                subject,
+                text
+            });
+        }
+    };
+};
+
+// Generic HTTP SMS gateway: POSTs { to, message, sender } as JSON
+const createSmsGatewayTransport = () => {
+    const url = process.env.SMS_GATEWAY_URL;
+
+    return {
+        async send({ to, text }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.SMS_GATEWAY_API_KEY}`
+                },
+                body: JSON.stringify({
+                    to: `+91${to}`,
+                    message: text,
+                    sender: process.env.SMS_SENDER_ID || 'TRKSHP'
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with status ${response.status}`);
+            }
+        }
+    };
+};
+
+const createConsoleTransport = (channel) => ({
+    async send({ to, subject, text }) {
+        console.log(`📨 [${channel}] to ${to}${subject ? ` | ${subject}` : ''}: ${text}`);
+    }
+});
+
+// Appends one JSON line per message, handy for development and tests
+const createFileTransport = (channel) => {
+    const filePath = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'notifications.log');
+
+    return {
+        async send({ to, subject, text }) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, JSON.stringify({
+                channel,
+                to,
+                subject,
+                text,
+                sentAt: new Date().toISOString()
+            }) + '\n');
+        }
+    };
+};
+
+const factories = {
+    email: {
+        smtp: createSmtpTransport,
+        console: () => createConsoleTransport('email'),
+        file: () => createFileTransport('email')
+    },
+    sms: {
+        gateway: createSmsGatewayTransport,
+        console: () => createConsoleTransport('sms'),
+        file: () => createFileTransport('sms')
+    }
+};
+
+const createTransport = (channel, name) => {
+    const factory = factories[channel][name];
+    if (!factory) {
+        throw new Error(`Unknown ${channel} transport: ${name}`);
+    }
+    return factory();
+};
+
+const transports = {
+    email: createTransport('email', process.env.EMAIL_TRANSPORT || 'console'),
+    sms: createTransport('sms', process.env.SMS_TRANSPORT || 'console')
+};
+
+// Replace a channel's transport at runtime (e.g. with a stub in tests)
+const setTransport = (channel, transport) => {
+    transports[channel] = transport;
+};
+
+const getTransport = (channel) => transports[channel];
+
+module.exports = {
+    getTransport,
+    setTransport
+};
@@ -0,0 +1,71 @@
+// Delivers one-time codes to shipment recipients and account holders. The
+// active notifier is chosen with OTP_NOTIFIER: "sms" (the default in
+// production) sends through the notification SMS transport, "console" (the
+// default elsewhere) only logs and is meant for development. Replace it at
+// runtime with setNotifier({ send }).
+
+const { getTransport } = require('./notifications/transports');
+
+const notifiers = {
+    sms: {
+        async send({ to, message }) {
+            await getTransport('sms').send({ to: to.phone, text: message });
+        }
+    },
+    console: {
+        async send({ to, message }) {
+            console.log(`📨 OTP for ${to.phone || to.email}: ${message}`);
+        }
+    }
+};
+
+const isProduction = process.env.NODE_ENV === 'production';
+const notifierName = process.env.OTP_NOTIFIER || (isProduction ? 'sms' : 'console');
+
+let activeNotifier = notifiers[notifierName];
+
+if (!activeNotifier) {
+    throw new Error(`Unknown OTP notifier: ${notifierName}`);
+}
+
+// Codes that are only logged could be read by anyone with access to the logs
+if (isProduction && (notifierName !== 'sms' || process.env.SMS_TRANSPORT !== 'gateway')) {
+    throw new Error('OTPs must be sent by SMS in production: set OTP_NOTIFIER=sms and SMS_TRANSPORT=gateway');
+}
+
+const setNotifier = (notifier) => {
+    activeNotifier = notifier;
+};
+
+const sendDeliveryOtp = (shipment, code) => {
+    return activeNotifier.send({
+        to: {
+            name: shipment.recipient.name,
+            phone: shipment.recipient.phone,
+            email: shipment.recipient.email
+        },
+        message: `${code} is your TrackShip delivery code for shipment ${shipment.trackingNumber}. Share it with the delivery agent only when you receive your package.`
+    });
+};
+
+const PHONE_OTP_MESSAGES = {
+    login: (code) => `${code} is your TrackShip login code. It expires in 5 minutes. Never share it with anyone.`,
+    verify: (code) => `${code} is your TrackShip phone verification code. It expires in 5 minutes.`
+};
+
+const sendPhoneOtp = (user, code, purpose) => {
+    return activeNotifier.send({
+        to: {
+            name: user.fullName,
+            phone: user.phone,
+            email: user.email
+        },
+        message: PHONE_OTP_MESSAGES[purpose](code)
+    });
+};
+
+module.exports = {
+    setNotifier,
+    sendDeliveryOtp,
+    sendPhoneOtp
+};
@@ -0,0 +1,114 @@
+// Pincode directory lookups and CSV import
+
+const Pincode = require('../models/Pincode');
+const { readCsvRows } = require('../utils/csv');
+const { getZone } = require('./rateCalculator');
+
+const IMPORT_BATCH_SIZE = 500;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// Map a CSV row to a Pincode document. Expected columns:
+// pincode,city,district,state,zone,hub,serviceTypes,codAllowed,isRemote
+// where serviceTypes is a "|" separated list such as "standard|express"
+const rowToPincode = (row) => ({
+    pincode: row.pincode,
+    city: row.city,
+    district: row.district || undefined,
+    state: row.state,
+    zone: row.zone,
+    hub: row.hub,
+    serviceTypes: (row.serviceTypes || '')
+        .split('|')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean),
+    codAllowed: TRUE_VALUES.includes((row.codAllowed || '').toLowerCase()),
+    isRemote: TRUE_VALUES.includes((row.isRemote || '').toLowerCase()),
+    isActive: row.isActive ? TRUE_VALUES.includes(row.isActive.toLowerCase()) : true
+});
+
+const flushBatch = async (batch) => {
+    if (batch.length === 0) return;
+
+    await Pincode.bulkWrite(batch.map(doc => ({
+        updateOne: {
+            filter: { pincode: doc.pincode },
+            update: { $set: doc },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+// Upsert every valid row of a pincode CSV stream into the directory
+const importPincodesFromCsv = async (stream) => {
+    let batch = [];
+    let imported = 0;
+    const failed = [];
+
+    for await (const { line, row } of readCsvRows(stream)) {
+        const doc = rowToPincode(row);
+        const validationError = new Pincode(doc).validateSync();
+
+        if (validationError) {
+            failed.push({
+                line,
+                pincode: row.pincode,
+                message: Object.values(validationError.errors).map(err => err.message).join(', ')
+            });
+            continue;
+        }
+
+        batch.push(doc);
+
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+            await flushBatch(batch);
+            imported += batch.length;
+            batch = [];
+        }
+    }
+
+    await flushBatch(batch);
+    imported += batch.length;
+
+    return { imported, failed };
+};
+
+// Rate zone for a lane, using directory data when both ends are known
+// and falling back to the pincode prefix heuristic otherwise
+const getLaneZone = (origin, destination, originPincode, destinationPincode) => {
+    if (!origin || !destination) {
+        return getZone(originPincode, destinationPincode);
+    }
+    if (origin.isRemote || destination.isRemote) {
+        return 'special';
+    }
+    if (origin.hub === destination.hub) {
+        return 'local';
+    }
+    if (origin.state === destination.state) {
+        return 'regional';
+    }
+    if (origin.zone === destination.zone) {
+        return 'zonal';
+    }
+    return 'national';
+};
+
+// Look up both ends of a lane and work out its rate zone
+const resolveLane = async (originPincode, destinationPincode) => {
+    const [origin, destination] = await Promise.all([
+        Pincode.findServiceable(originPincode),
+        Pincode.findServiceable(destinationPincode)
+    ]);
+
+    return {
+        origin,
+        destination,
+        zone: getLaneZone(origin, destination, originPincode, destinationPincode)
+    };
+};
+
+module.exports = {
+    importPincodesFromCsv,
+    getLaneZone,
+    resolveLane
+};
@@ -0,0 +1,189 @@
+// Shipping rate engine used by the quote endpoint and shipment creation
+
+const SERVICE_TYPES = ['hyperlocal', 'same-day', 'next-day', 'standard', 'economy', 'express'];
+
+// Base charge for the first 0.5 kg and every additional 0.5 kg (INR)
+const RATE_CARD = {
+    'hyperlocal': { base: 40, additional: 10 },
+    'same-day': { base: 90, additional: 20 },
+    'next-day': { base: 70, additional: 18 },
+    'standard': { base: 45, additional: 12 },
+    'economy': { base: 35, additional: 8 },
+    'express': { base: 80, additional: 20 }
+};
+
+const ZONE_MULTIPLIERS = {
+    'local': 1,
+    'regional': 1.2,
+    'zonal': 1.5,
+    'national': 1.8,
+    'special': 2.2
+};
+
+// Zones each service type can be booked for
+const SERVICE_ZONES = {
+    'hyperlocal': ['local'],
+    'same-day': ['local', 'regional'],
+    'next-day': ['local', 'regional', 'zonal', 'national'],
+    'standard': ['local', 'regional', 'zonal', 'national', 'special'],
+    'economy': ['local', 'regional', 'zonal', 'national', 'special'],
+    'express': ['local', 'regional', 'zonal', 'national', 'special']
+};
+
+// Jammu & Kashmir, Ladakh, the North-East and the Andaman & Nicobar Islands
+const SPECIAL_PINCODE_PREFIXES = ['18', '19', '78', '79', '744'];
+
+// Lakshadweep shares the 682 prefix with Kochi, so it is matched exactly
+const SPECIAL_PINCODE_RANGES = [[682551, 682559]];
+
+const VOLUMETRIC_DIVISOR = 5000; // cm³ per kg
+const WEIGHT_SLAB = 0.5; // kg
+const FRAGILE_SURCHARGE_RATE = 0.1;
+const FRAGILE_SURCHARGE_MIN = 30;
+const INSURANCE_RATE = 0.02;
+const INSURANCE_MIN = 25;
+const GST_RATE = 0.18;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const createRateError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const isSpecialPincode = (pincode) => {
+    const code = Number(pincode);
+    return SPECIAL_PINCODE_PREFIXES.some(prefix => pincode.startsWith(prefix)) ||
+        SPECIAL_PINCODE_RANGES.some(([first, last]) => code >= first && code <= last);
+};
+
+// Form and CSV payloads carry booleans as strings; only true and "true" count
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Derive the delivery zone from the postal hierarchy encoded in the pincodes:
+// the first digit is the postal region, two digits the circle, three the sorting district
+const getZone = (originPincode, destinationPincode) => {
+    if (isSpecialPincode(originPincode) || isSpecialPincode(destinationPincode)) {
+        return 'special';
+    }
+    if (originPincode.slice(0, 3) === destinationPincode.slice(0, 3)) {
+        return 'local';
+    }
+    if (originPincode.slice(0, 2) === destinationPincode.slice(0, 2)) {
+        return 'regional';
+    }
+    if (originPincode[0] === destinationPincode[0]) {
+        return 'zonal';
+    }
+    return 'national';
+};
+
+const getVolumetricWeight = ({ length, width, height }) => {
+    return (length * width * height) / VOLUMETRIC_DIVISOR;
+};
+
+const getChargeableWeight = (weight, dimensions) => {
+    const volumetricWeight = dimensions ? getVolumetricWeight(dimensions) : 0;
+    const heavier = Math.max(weight, volumetricWeight);
+    return Math.ceil(heavier / WEIGHT_SLAB) * WEIGHT_SLAB;
+};
+
+const isServiceAvailable = (serviceType, zone) => {
+    return SERVICE_ZONES[serviceType].includes(zone);
+};
+
+// Price a single service type for an already resolved zone
+const priceService = (serviceType, zone, { weight, dimensions, value, isFragile, isInsured }) => {
+    const rate = RATE_CARD[serviceType];
+    const multiplier = ZONE_MULTIPLIERS[zone];
+
+    const volumetricWeight = dimensions ? round(getVolumetricWeight(dimensions)) : 0;
+    const chargeableWeight = getChargeableWeight(weight, dimensions);
+    const additionalSlabs = Math.max(0, chargeableWeight / WEIGHT_SLAB - 1);
+
+    const baseCharge = round(rate.base * multiplier);
+    const weightCharge = round(rate.additional * additionalSlabs * multiplier);
+    const freight = baseCharge + weightCharge;
+
+    const fragileSurcharge = isFragile
+        ? round(Math.max(freight * FRAGILE_SURCHARGE_RATE, FRAGILE_SURCHARGE_MIN))
+        : 0;
+    const insurancePremium = isInsured
+        ? round(Math.max(value * INSURANCE_RATE, INSURANCE_MIN))
+        : 0;
+
+    const subtotal = round(freight + fragileSurcharge + insurancePremium);
+    const gst = round(subtotal * GST_RATE);
+
+    return {
+        serviceType,
+        zone,
+        actualWeight: weight,
+        volumetricWeight,
+        chargeableWeight,
+        breakdown: {
+            baseCharge,
+            weightCharge,
+            fragileSurcharge,
+            insurancePremium,
+            subtotal,
+            gst,
+            gstRate: GST_RATE
+        },
+        total: round(subtotal + gst)
+    };
+};
+
+// Quote one service type, or every service type available for the lane when none is given.
+// Callers may pass a pre-resolved `zone` and the `serviceTypes` the lane's pincodes support.
+const calculateQuote = (input) => {
+    const { originPincode, destinationPincode, serviceType, serviceTypes } = input;
+
+    if (serviceType && !SERVICE_TYPES.includes(serviceType)) {
+        throw createRateError(`Unknown service type: ${serviceType}`);
+    }
+
+    const zone = input.zone || getZone(originPincode, destinationPincode);
+    const isOffered = (type) => isServiceAvailable(type, zone) && (!serviceTypes || serviceTypes.includes(type));
+
+    if (serviceType) {
+        if (!isOffered(serviceType)) {
+            throw createRateError(`${serviceType} service is not available for ${zone} deliveries`);
+        }
+        return { zone, quotes: [priceService(serviceType, zone, input)] };
+    }
+
+    const quotes = SERVICE_TYPES
+        .filter(isOffered)
+        .map(type => priceService(type, zone, input));
+
+    return { zone, quotes };
+};
+
+// Build quote input from a shipment creation payload
+const quoteInputFromShipment = (shipmentData) => ({
+    originPincode: shipmentData.sender.address.pincode,
+    destinationPincode: shipmentData.recipient.address.pincode,
+    serviceType: shipmentData.service.type,
+    weight: Number(shipmentData.package.weight),
+    dimensions: {
+        length: Number(shipmentData.package.dimensions.length),
+        width: Number(shipmentData.package.dimensions.width),
+        height: Number(shipmentData.package.dimensions.height)
+    },
+    value: Number(shipmentData.package.value),
+    isFragile: parseBoolean(shipmentData.package.isFragile),
+    isInsured: parseBoolean(shipmentData.service.insurance && shipmentData.service.insurance.isInsured)
+});
+
+module.exports = {
+    SERVICE_TYPES,
+    GST_RATE,
+    getZone,
+    getVolumetricWeight,
+    getChargeableWeight,
+    isServiceAvailable,
+    calculateQuote,
+    quoteInputFromShipment
+};
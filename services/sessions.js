@@ -0,0 +1,187 @@
+// Sign-in sessions. Access tokens are short-lived JWTs bound to a session;
+// refresh tokens are opaque, stored hashed and replaced on every use, so
+// revoking a session cuts off both.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once is not token theft
+const ROTATION_GRACE_MS = 30 * 1000;
+const LAST_SEEN_PRECISION_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // seconds
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const sessionError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    error.status = 401;
+    return error;
+};
+
+// Short label such as "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = '') => {
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    if (browser && system) return `${browser[1]} on ${system[1]}`;
+    if (browser || system) return (browser || system)[1];
+    return userAgent ? userAgent.split(/[\s/]/)[0] : 'Unknown device';
+};
+
+const issueTokens = (session, refreshToken) => {
+    const token = jwt.sign(
+        { userId: session.user, sid: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000)
+    };
+};
+
+// Start a session for a user who just signed in and return its token pair
+const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return { session, ...issueTokens(session, refreshToken) };
+};
+
+// Exchange a refresh token for a new pair. A token that was already
+// rotated away means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = generateRefreshToken();
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken),
+                previousTokenHash: tokenHash,
+                rotatedAt: now,
+                lastSeenAt: now,
+                ip: req.ip,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+            }
+        },
+        { new: true }
+    );
+
+    if (session) {
+        const user = await User.findById(session.user);
+        if (!user || !user.isActive) {
+            await revokeSession(session._id, session.user, 'revoked');
+            throw sessionError('InvalidRefreshToken', 'Account is no longer active');
+        }
+        return { session, user, ...issueTokens(session, nextToken) };
+    }
+
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (reused && now - reused.rotatedAt > ROTATION_GRACE_MS) {
+        await revokeSession(reused._id, reused.user, 'token-reuse');
+        console.warn(`Refresh token reuse detected; revoked session ${reused._id}`);
+    }
+
+    throw sessionError('InvalidRefreshToken', 'Refresh token is invalid or expired');
+};
+
+// Check an access token and the session behind it. Resolves to the user ID and session.
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+    if (!decoded.sid) {
+        throw sessionError('SessionExpired', 'Session has ended');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+        throw sessionError('SessionExpired', 'Session has ended');
+    }
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_PRECISION_MS) {
+        Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() })
+            .catch(error => console.error('Session update error:', error));
+    }
+
+    return { userId: decoded.userId, session };
+};
+
+// Short-lived token proving the password step of a two-factor login. It has
+// no session ID, so it is never accepted as an access token.
+const createTwoFactorChallenge = (user) => {
+    const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+
+    return { challengeToken, expiresIn: TWO_FACTOR_CHALLENGE_TTL };
+};
+
+// Resolves to the user ID behind a two-factor challenge
+const verifyTwoFactorChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        if (decoded.purpose !== '2fa') throw new Error('Not a two-factor challenge');
+        return decoded.userId;
+    } catch (error) {
+        throw sessionError('InvalidChallenge', 'Login challenge is invalid or expired');
+    }
+};
+
+const revokeSession = (sessionId, userId, reason = 'revoked') => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+    );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, { except, reason = 'revoked' } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const listActiveSessions = (userId) => {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastSeenAt: -1 });
+};
+
+module.exports = {
+    describeDevice,
+    createSession,
+    rotateSession,
+    verifyAccessToken,
+    createTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+};
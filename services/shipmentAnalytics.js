@@ -0,0 +1,241 @@
+// Time-series shipment analytics for the dashboard. Buckets are calendar
+// days, ISO weeks or months in Indian Standard Time, and every metric is
+// scoped the same way as shipment search: customers only see their own.
+
+const { query } = require('express-validator');
+const Shipment = require('../models/Shipment');
+const { SERVICE_TYPES, listOf, dateRange, buildSearchFilter } = require('./shipmentSearch');
+
+const DAY = 24 * 60 * 60 * 1000;
+const IST_OFFSET = '+05:30';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 400;
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_LANES = 10;
+
+const analyticsRules = [
+    ...dateRange('from', 'to', 'Date'),
+    query('interval').optional().isIn(INTERVALS).withMessage(`Interval must be one of: ${INTERVALS.join(', ')}`),
+    listOf('serviceType', SERVICE_TYPES)
+];
+
+// Start of the IST bucket containing a date
+const bucketStart = (date, interval) => {
+    const local = new Date(date.getTime() + IST_OFFSET_MS);
+    local.setUTCHours(0, 0, 0, 0);
+
+    if (interval === 'week') {
+        // ISO weeks start on Monday
+        local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        local.setUTCDate(1);
+    }
+
+    return new Date(local.getTime() - IST_OFFSET_MS);
+};
+
+const nextBucket = (start, interval) => {
+    const local = new Date(start.getTime() + IST_OFFSET_MS);
+
+    if (interval === 'day') local.setUTCDate(local.getUTCDate() + 1);
+    if (interval === 'week') local.setUTCDate(local.getUTCDate() + 7);
+    if (interval === 'month') local.setUTCMonth(local.getUTCMonth() + 1);
+
+    return new Date(local.getTime() - IST_OFFSET_MS);
+};
+
+// Every bucket between two dates, so periods without shipments show as zero
+const bucketsBetween = (from, to, interval) => {
+    const buckets = [];
+    for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+        buckets.push(start);
+    }
+    return buckets;
+};
+
+const resolveRange = ({ from, to, interval = 'day' }) => {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY);
+    return { start, end, interval };
+};
+
+const truncate = (field, interval) => ({
+    $dateTrunc: {
+        date: field,
+        unit: interval,
+        timezone: IST_OFFSET,
+        ...(interval === 'week' && { startOfWeek: 'monday' })
+    }
+});
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+const round = (value, places = 1) => (value == null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const cityKey = (field) => ({ $toLower: { $trim: { input: { $ifNull: [field, ''] } } } });
+
+// Shipments booked in the range: volume, revenue, exceptions and lanes
+const createdStats = (scope, { start, end, interval }) => Shipment.aggregate([
+    { $match: { $and: [scope, { createdAt: { $gte: start, $lte: end } }] } },
+    {
+        $project: {
+            bucket: truncate('$createdAt', interval),
+            revenue: {
+                $cond: [{ $eq: ['$currentStatus', 'Cancelled'] }, 0, { $ifNull: ['$service.cost', 0] }]
+            },
+            // Any shipment that hit an exception, even if it has since recovered
+            exception: {
+                $cond: [{ $in: ['Exception', { $ifNull: ['$tracking.status', []] }] }, 1, 0]
+            },
+            origin: '$sender.address.city',
+            destination: '$recipient.address.city'
+        }
+    },
+    {
+        $facet: {
+            series: [
+                {
+                    $group: {
+                        _id: '$bucket',
+                        created: { $sum: 1 },
+                        revenue: { $sum: '$revenue' },
+                        exceptions: { $sum: '$exception' }
+                    }
+                }
+            ],
+            lanes: [
+                {
+                    $group: {
+                        _id: { origin: cityKey('$origin'), destination: cityKey('$destination') },
+                        origin: { $first: '$origin' },
+                        destination: { $first: '$destination' },
+                        shipments: { $sum: 1 },
+                        revenue: { $sum: '$revenue' }
+                    }
+                },
+                { $sort: { shipments: -1, revenue: -1 } },
+                { $limit: TOP_LANES }
+            ]
+        }
+    }
+]);
+
+const deliveryGroup = (key) => ({
+    $group: {
+        _id: key,
+        delivered: { $sum: 1 },
+        withEstimate: { $sum: '$hasEstimate' },
+        onTime: { $sum: '$onTime' },
+        avgTransitHours: { $avg: '$transitHours' }
+    }
+});
+
+// Shipments delivered in the range: on-time performance and transit times
+const deliveredStats = (scope, { start, end, interval }) => Shipment.aggregate([
+    { $match: { $and: [scope, { deliveredAt: { $gte: start, $lte: end } }] } },
+    {
+        $project: {
+            bucket: truncate('$deliveredAt', interval),
+            serviceType: '$service.type',
+            transitHours: { $divide: [{ $subtract: ['$deliveredAt', '$createdAt'] }, 60 * 60 * 1000] },
+            hasEstimate: { $cond: [{ $ifNull: ['$service.estimatedDelivery', false] }, 1, 0] },
+            onTime: {
+                $cond: [
+                    {
+                        $and: [
+                            { $ifNull: ['$service.estimatedDelivery', false] },
+                            { $lte: ['$deliveredAt', '$service.estimatedDelivery'] }
+                        ]
+                    },
+                    1,
+                    0
+                ]
+            }
+        }
+    },
+    {
+        $facet: {
+            series: [deliveryGroup('$bucket')],
+            byService: [deliveryGroup('$serviceType'), { $sort: { delivered: -1 } }]
+        }
+    }
+]);
+
+// Build the analytics report for a user from validated query parameters
+const buildAnalytics = async (params, user) => {
+    const range = resolveRange(params);
+    const buckets = bucketsBetween(range.start, range.end, range.interval);
+
+    if (buckets.length > MAX_BUCKETS) {
+        const error = new Error(`Too many ${range.interval} buckets in this range. Use a shorter range or a longer interval.`);
+        error.name = 'RangeTooLarge';
+        throw error;
+    }
+
+    const scope = buildSearchFilter({ serviceType: params.serviceType }, user);
+
+    const [[created], [delivered], inProgress] = await Promise.all([
+        createdStats(scope, range),
+        deliveredStats(scope, range),
+        Shipment.countDocuments({ $and: [scope, { currentStatus: { $in: Shipment.OPEN_STATUSES } }] })
+    ]);
+
+    const createdByBucket = new Map(created.series.map(row => [row._id.getTime(), row]));
+    const deliveredByBucket = new Map(delivered.series.map(row => [row._id.getTime(), row]));
+
+    const series = buckets.map(start => {
+        const booked = createdByBucket.get(start.getTime()) || { created: 0, revenue: 0, exceptions: 0 };
+        const done = deliveredByBucket.get(start.getTime()) || { delivered: 0, withEstimate: 0, onTime: 0, avgTransitHours: null };
+
+        return {
+            period: start,
+            created: booked.created,
+            delivered: done.delivered,
+            onTimeRate: percent(done.onTime, done.withEstimate),
+            avgTransitHours: round(done.avgTransitHours),
+            revenue: round(booked.revenue, 2),
+            exceptions: booked.exceptions,
+            exceptionRate: percent(booked.exceptions, booked.created)
+        };
+    });
+
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const deliveredCount = sum(delivered.series, 'delivered');
+    const createdCount = sum(created.series, 'created');
+    const exceptionCount = sum(created.series, 'exceptions');
+    const transitHours = delivered.series.reduce((total, row) => total + row.avgTransitHours * row.delivered, 0);
+
+    return {
+        range: { from: range.start, to: range.end, interval: range.interval, timezone: IST_OFFSET },
+        filters: { serviceType: params.serviceType || null },
+        totals: {
+            created: createdCount,
+            delivered: deliveredCount,
+            inProgress,
+            onTimeRate: percent(sum(delivered.series, 'onTime'), sum(delivered.series, 'withEstimate')),
+            avgTransitHours: round(deliveredCount ? transitHours / deliveredCount : null),
+            revenue: round(sum(created.series, 'revenue'), 2),
+            exceptions: exceptionCount,
+            exceptionRate: percent(exceptionCount, createdCount)
+        },
+        series,
+        transitByService: delivered.byService.map(row => ({
+            serviceType: row._id,
+            delivered: row.delivered,
+            avgTransitHours: round(row.avgTransitHours),
+            onTimeRate: percent(row.onTime, row.withEstimate)
+        })),
+        topLanes: created.lanes.map(lane => ({
+            origin: lane.origin,
+            destination: lane.destination,
+            shipments: lane.shipments,
+            revenue: round(lane.revenue, 2)
+        }))
+    };
+};
+
+module.exports = {
+    INTERVALS,
+    analyticsRules,
+    buildAnalytics
+};
@@ -0,0 +1,164 @@
+// Booking logic shared by single and bulk shipment creation: checks the lane
+// against the pincode directory, prices it server-side and builds the shipment.
+
+const Shipment = require('../models/Shipment');
+const { calculateQuote, quoteInputFromShipment } = require('./rateCalculator');
+const { resolveLane } = require('./pincodeDirectory');
+const { estimateDelivery } = require('./deliveryEstimator');
+const { predictEta } = require('./etaPredictor');
+const shipmentEvents = require('./shipmentEvents');
+
+const bookingError = (title, message, extra = {}) => {
+    const error = new Error(message);
+    error.name = 'BookingRejected';
+    error.status = 400;
+    error.title = title;
+    Object.assign(error, extra);
+    return error;
+};
+
+// The only request fields a booking may set. Everything else on a shipment
+// (status, tracking, payment status, agent, OTP...) is managed by the server.
+const BOOKING_FIELDS = [
+    'sender.name', 'sender.email', 'sender.phone', 'sender.address.street', 'sender.address.pincode',
+    'recipient.name', 'recipient.email', 'recipient.phone', 'recipient.address.street', 'recipient.address.pincode',
+    'package.description', 'package.weight', 'package.value', 'package.category',
+    'package.dimensions.length', 'package.dimensions.width', 'package.dimensions.height',
+    'package.isFragile', 'package.requiresSignature', 'package.requiresDeliveryOtp',
+    'service.type', 'service.priority', 'service.cost', 'service.insurance.isInsured',
+    'paymentMethod', 'specialInstructions'
+];
+
+// Copy of the booking fields present in a request body
+const pickBookingFields = (body) => {
+    const data = {};
+
+    BOOKING_FIELDS.forEach(field => {
+        const keys = field.split('.');
+        const value = keys.reduce((source, key) => (
+            source !== null && typeof source === 'object' && Object.prototype.hasOwnProperty.call(source, key)
+                ? source[key]
+                : undefined
+        ), body);
+        if (value === undefined) return;
+
+        let target = data;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+
+    return data;
+};
+
+// Build an unsaved shipment from validated request data.
+// Only BOOKING_FIELDS are taken from it.
+// Throws a BookingRejected error (status 400) when the booking can't be accepted.
+const prepareShipment = async (body, user) => {
+    const data = pickBookingFields(body);
+    const serviceType = data.service.type;
+    const lane = await resolveLane(data.sender.address.pincode, data.recipient.address.pincode);
+
+    // Both ends of the lane must be in the pincode directory
+    if (!lane.origin || !lane.destination) {
+        const pincode = lane.origin ? data.recipient.address.pincode : data.sender.address.pincode;
+        throw bookingError('Pincode not serviceable', `We do not currently serve pincode ${pincode}`);
+    }
+
+    if (!lane.origin.supportsService(serviceType) || !lane.destination.supportsService(serviceType)) {
+        throw bookingError(
+            'Service unavailable',
+            `${serviceType} service is not available between ${lane.origin.pincode} and ${lane.destination.pincode}`
+        );
+    }
+
+    if (data.paymentMethod === 'cod' && !lane.destination.codAllowed) {
+        throw bookingError('COD unavailable', `Cash on delivery is not available for pincode ${lane.destination.pincode}`);
+    }
+
+    // City and state always come from the directory
+    const sender = {
+        ...data.sender,
+        address: { ...data.sender.address, city: lane.origin.city, state: lane.origin.state }
+    };
+    const recipient = {
+        ...data.recipient,
+        address: { ...data.recipient.address, city: lane.destination.city, state: lane.destination.state }
+    };
+
+    // Recompute the cost server-side; never trust the client's figure
+    let quote;
+    try {
+        quote = calculateQuote({
+            ...quoteInputFromShipment(data),
+            zone: lane.zone
+        }).quotes[0];
+    } catch (error) {
+        if (error.status === 400) {
+            throw bookingError('Service unavailable', error.message);
+        }
+        throw error;
+    }
+
+    const clientCost = data.service.cost;
+    if (clientCost !== undefined && Math.abs(Number(clientCost) - quote.total) > 0.01) {
+        throw bookingError(
+            'Cost mismatch',
+            `Service cost does not match the current rate of ₹${quote.total}. Please request a new quote.`,
+            { quote }
+        );
+    }
+
+    // Calculate estimated delivery based on service type and distance
+    const estimatedDelivery = estimateDelivery(serviceType, lane.zone);
+
+    const shipment = new Shipment({
+        ...data,
+        sender,
+        recipient,
+        service: {
+            ...data.service,
+            cost: quote.total,
+            zone: quote.zone,
+            chargeableWeight: quote.chargeableWeight,
+            costBreakdown: quote.breakdown,
+            insurance: {
+                isInsured: quote.breakdown.insurancePremium > 0,
+                coverage: quote.breakdown.insurancePremium > 0 ? Number(data.package.value) : 0,
+                premium: quote.breakdown.insurancePremium
+            },
+            estimatedDelivery
+        },
+        createdBy: user._id
+    });
+
+    // Add initial tracking event
+    shipment.tracking.push({
+        status: 'Order Placed',
+        location: `${sender.address.city}, ${sender.address.state}`,
+        description: 'Shipment order has been placed and is being processed',
+        timestamp: new Date()
+    });
+
+    // Predicted delivery from lane history, alongside the committed date above
+    shipment.eta = await predictEta(shipment);
+
+    return { shipment, quote };
+};
+
+// Prepare, save and announce a shipment
+const bookShipment = async (data, user) => {
+    const { shipment, quote } = await prepareShipment(data, user);
+
+    await shipment.save();
+    shipmentEvents.emit('created', { shipment });
+
+    return { shipment, quote };
+};
+
+module.exports = {
+    prepareShipment,
+    bookShipment
+};
@@ -0,0 +1,283 @@
+// Printable shipping labels and tax invoices, rendered as PDFs on the server.
+// Barcodes are drawn locally with bwip-js. The built-in PDF fonts only cover
+// Latin text, so amounts are printed as "Rs." rather than with the rupee sign.
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { GST_RATE } = require('./rateCalculator');
+
+const LABEL_SIZES = {
+    '4x6': { size: [288, 432], margin: 12 }, // 4 x 6 in thermal label
+    a4: { size: 'A4', margin: 36 }
+};
+
+const COMPANY = {
+    name: process.env.COMPANY_NAME || 'TrackShip India',
+    address: process.env.COMPANY_ADDRESS || 'Mumbai, Maharashtra',
+    gstin: process.env.COMPANY_GSTIN || '',
+    // State of the GST registration the invoices are issued under
+    state: process.env.COMPANY_STATE || 'Maharashtra'
+};
+
+// SAC for courier services
+const COURIER_SAC = '996812';
+
+const round = (value) => Math.round(value * 100) / 100;
+const formatAmount = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+const formatDate = (date) => date
+    ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+    : '-';
+
+const formatAddress = (party) => [
+    party.address.street,
+    `${party.address.city}, ${party.address.state}`,
+    `PIN ${party.address.pincode}`
+];
+
+const renderBarcodes = (trackingNumber) => Promise.all([
+    bwipjs.toBuffer({ bcid: 'code128', text: trackingNumber, scale: 3, height: 14, includetext: true, textxalign: 'center' }),
+    bwipjs.toBuffer({ bcid: 'qrcode', text: trackingNumber, scale: 4, eclevel: 'M' })
+]);
+
+// Draw the label into a 2:3 box so the same layout serves both page sizes
+const drawLabel = (doc, shipment, { barcode, qrCode }, box) => {
+    const { x, y, width } = box;
+    const scale = width / 264;
+    const pad = 8 * scale;
+    const inner = width - pad * 2;
+    const font = (name, size) => doc.font(name).fontSize(size * scale);
+
+    doc.lineWidth(1.5 * scale).rect(x, y, width, box.height).stroke();
+
+    // Header: carrier and service
+    let cursor = y + pad;
+    font('Helvetica-Bold', 14).text(COMPANY.name, x + pad, cursor, { width: inner, lineBreak: false });
+    font('Helvetica-Bold', 14).text(shipment.service.type.toUpperCase(), x + pad, cursor, { width: inner, align: 'right', lineBreak: false });
+    cursor += 20 * scale;
+    doc.moveTo(x, cursor).lineTo(x + width, cursor).stroke();
+
+    // Tracking barcode
+    cursor += pad;
+    doc.image(barcode, x + pad, cursor, { fit: [inner, 70 * scale], align: 'center' });
+    cursor += 70 * scale + pad;
+    doc.moveTo(x, cursor).lineTo(x + width, cursor).stroke();
+
+    // Recipient, printed largest
+    cursor += pad;
+    font('Helvetica', 8).text('SHIP TO', x + pad, cursor);
+    font('Helvetica-Bold', 12).text(shipment.recipient.name, { width: inner });
+    font('Helvetica', 10).text(formatAddress(shipment.recipient).join('\n'), { width: inner });
+    font('Helvetica', 10).text(`Phone: ${shipment.recipient.phone}`, { width: inner });
+    cursor = doc.y + pad;
+    doc.moveTo(x, cursor).lineTo(x + width, cursor).stroke();
+
+    // Sender
+    cursor += pad;
+    font('Helvetica', 8).text('FROM', x + pad, cursor);
+    font('Helvetica-Bold', 9).text(shipment.sender.name, { width: inner });
+    font('Helvetica', 8).text(`${formatAddress(shipment.sender).join(', ')} | ${shipment.sender.phone}`, { width: inner });
+    cursor = doc.y + pad;
+    doc.moveTo(x, cursor).lineTo(x + width, cursor).stroke();
+
+    // Package details beside the QR code
+    cursor += pad;
+    const qrSize = 72 * scale;
+    doc.image(qrCode, x + width - pad - qrSize, cursor, { fit: [qrSize, qrSize] });
+
+    const details = [
+        `Weight: ${shipment.package.weight} kg` +
+            (shipment.service.chargeableWeight ? ` (chargeable ${shipment.service.chargeableWeight} kg)` : ''),
+        `Dimensions: ${shipment.package.dimensions.length} x ${shipment.package.dimensions.width} x ${shipment.package.dimensions.height} cm`,
+        `Payment: ${shipment.paymentMethod === 'cod' ? `COD - collect ${formatAmount(shipment.package.value)}` : 'PREPAID'}`,
+        `Booked: ${formatDate(shipment.createdAt)}`,
+        `Expected: ${formatDate(shipment.service.estimatedDelivery)}`
+    ];
+    font('Helvetica', 8).text(details.join('\n'), x + pad, cursor, { width: inner - qrSize - pad });
+
+    const handling = [
+        shipment.package.isFragile && 'FRAGILE',
+        shipment.package.requiresSignature && 'SIGNATURE REQUIRED'
+    ].filter(Boolean);
+    if (handling.length > 0) {
+        font('Helvetica-Bold', 10).text(handling.join('  |  '), { width: inner - qrSize - pad });
+    }
+};
+
+// Returns a PDFDocument stream containing the shipping label
+const createLabelPdf = async (shipment, size = '4x6') => {
+    const [barcode, qrCode] = await renderBarcodes(shipment.trackingNumber);
+    const page = LABEL_SIZES[size];
+
+    const doc = new PDFDocument({
+        size: page.size,
+        margin: page.margin,
+        info: { Title: `Shipping label ${shipment.trackingNumber}`, Author: COMPANY.name }
+    });
+
+    const availableWidth = doc.page.width - page.margin * 2;
+    const availableHeight = doc.page.height - page.margin * 2;
+    const width = Math.min(availableWidth, availableHeight * 2 / 3, size === 'a4' ? 360 : Infinity);
+
+    drawLabel(doc, shipment, { barcode, qrCode }, {
+        x: (doc.page.width - width) / 2,
+        y: page.margin,
+        width,
+        height: width * 1.5
+    });
+
+    doc.end();
+    return doc;
+};
+
+// Charge lines for the invoice. Shipments booked before itemised pricing only
+// have a GST-inclusive total, so the tax is backed out of it.
+const getInvoiceCharges = (shipment) => {
+    const breakdown = shipment.service.costBreakdown;
+
+    if (breakdown && breakdown.subtotal !== undefined) {
+        return {
+            lines: [
+                ['Base charge', breakdown.baseCharge],
+                ['Weight charge', breakdown.weightCharge],
+                ['Fragile handling surcharge', breakdown.fragileSurcharge],
+                ['Insurance premium', breakdown.insurancePremium]
+            ].filter(([, amount]) => amount > 0),
+            subtotal: breakdown.subtotal,
+            gst: breakdown.gst,
+            gstRate: breakdown.gstRate || GST_RATE
+        };
+    }
+
+    const subtotal = round(shipment.service.cost / (1 + GST_RATE));
+    return {
+        lines: [['Courier charges', subtotal]],
+        subtotal,
+        gst: round(shipment.service.cost - subtotal),
+        gstRate: GST_RATE
+    };
+};
+
+const sameState = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// The place of supply is the consignee's state
+const getPlaceOfSupply = (shipment) => shipment.recipient.address.state;
+
+// Supplies within the company's registered state are taxed as CGST + SGST,
+// supplies to other states as IGST
+const getTaxLines = (shipment, { gst, gstRate }) => {
+    const percent = (rate) => `${round(rate * 100)}%`;
+
+    if (sameState(COMPANY.state, getPlaceOfSupply(shipment))) {
+        const half = round(gst / 2);
+        return [
+            [`CGST @ ${percent(gstRate / 2)}`, half],
+            [`SGST @ ${percent(gstRate / 2)}`, round(gst - half)]
+        ];
+    }
+
+    return [[`IGST @ ${percent(gstRate)}`, gst]];
+};
+
+// Returns a PDFDocument stream containing the tax invoice
+const createInvoicePdf = async (shipment) => {
+    const charges = getInvoiceCharges(shipment);
+    const taxLines = getTaxLines(shipment, charges);
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Invoice INV-${shipment.trackingNumber}`, Author: COMPANY.name }
+    });
+
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+
+    // Supplier and invoice details
+    doc.font('Helvetica-Bold').fontSize(18).text(COMPANY.name, left, 50);
+    doc.font('Helvetica').fontSize(9).text(COMPANY.address);
+    if (COMPANY.gstin) doc.text(`GSTIN: ${COMPANY.gstin}`);
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', left, 50, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(9).text([
+        `Invoice No: INV-${shipment.trackingNumber}`,
+        `Invoice Date: ${formatDate(shipment.createdAt)}`,
+        `Tracking No: ${shipment.trackingNumber}`,
+        `Place of Supply: ${getPlaceOfSupply(shipment)}`,
+        `Payment: ${shipment.paymentMethod.toUpperCase()} (${shipment.paymentStatus})`
+    ].join('\n'), { width, align: 'right' });
+
+    // Billed party (the sender) and consignee
+    let cursor = 150;
+    doc.moveTo(left, cursor).lineTo(right, cursor).stroke();
+    cursor += 10;
+
+    const column = width / 2;
+    [['Billed To', shipment.sender, left], ['Consignee', shipment.recipient, left + column]].forEach(([heading, party, x]) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(heading, x, cursor);
+        doc.font('Helvetica').fontSize(9).text([
+            party.name,
+            ...formatAddress(party),
+            `Phone: ${party.phone}`,
+            party.email ? `Email: ${party.email}` : null
+        ].filter(Boolean).join('\n'), x, cursor + 14, { width: column - 10 });
+    });
+
+    cursor += 100;
+    doc.moveTo(left, cursor).lineTo(right, cursor).stroke();
+
+    // Service summary
+    cursor += 10;
+    doc.font('Helvetica').fontSize(9).text(
+        `Service: ${shipment.service.type}${shipment.service.zone ? ` (${shipment.service.zone} zone)` : ''}   |   ` +
+        `Weight: ${shipment.package.weight} kg` +
+        (shipment.service.chargeableWeight ? ` (chargeable ${shipment.service.chargeableWeight} kg)` : '') +
+        `   |   Contents: ${shipment.package.description}`,
+        left, cursor, { width }
+    );
+
+    // Charges table
+    cursor = doc.y + 20;
+    const amountX = right - 120;
+    const row = (label, amount, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(label, left + 5, cursor, { width: amountX - left - 10 });
+        doc.text(formatAmount(amount), amountX, cursor, { width: 115, align: 'right' });
+        cursor += 18;
+    };
+
+    doc.rect(left, cursor - 5, width, 20).fill('#f0f0f0').fillColor('black');
+    doc.font('Helvetica-Bold').fontSize(10)
+        .text(`Description (SAC ${COURIER_SAC})`, left + 5, cursor)
+        .text('Amount', amountX, cursor, { width: 115, align: 'right' });
+    cursor += 22;
+
+    charges.lines.forEach(([label, amount]) => row(label, amount));
+    doc.moveTo(left, cursor - 4).lineTo(right, cursor - 4).stroke();
+    row('Taxable value', charges.subtotal, true);
+    taxLines.forEach(([label, amount]) => row(label, amount));
+    doc.moveTo(left, cursor - 4).lineTo(right, cursor - 4).stroke();
+    row('Total', shipment.service.cost, true);
+
+    if (shipment.service.insurance && shipment.service.insurance.isInsured) {
+        cursor += 10;
+        doc.font('Helvetica').fontSize(9).text(
+            `Declared value ${formatAmount(shipment.package.value)} insured for ${formatAmount(shipment.service.insurance.coverage)}.`,
+            left, cursor, { width }
+        );
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+        'This is a computer generated invoice and does not require a signature.',
+        left, doc.page.height - 80, { width, align: 'center' }
+    );
+
+    doc.end();
+    return doc;
+};
+
+module.exports = {
+    LABEL_SIZES,
+    createLabelPdf,
+    createInvoicePdf
+};
@@ -0,0 +1,12 @@
+// In-process event bus for shipment lifecycle events.
+// Listeners only see events saved by this server instance; live tracking
+// streams use services/trackingFeed to hear about every replica's events.
+
+const { EventEmitter } = require('events');
+
+const shipmentEvents = new EventEmitter();
+
+// One listener per open tracking stream, so lift the default cap of 10
+shipmentEvents.setMaxListeners(0);
+
+module.exports = shipmentEvents;
@@ -0,0 +1,271 @@
+// Shipment exports as CSV or XLSX. Small exports stream straight to the
+// response; larger ones run as background jobs that write the file to shared,
+// non-public storage. The owner downloads it through the authenticated route.
+
+const ExcelJS = require('exceljs');
+const ExportJob = require('../models/ExportJob');
+const Shipment = require('../models/Shipment');
+const User = require('../models/User');
+const storage = require('./storage');
+const { buildSearchFilter } = require('./shipmentSearch');
+const { formatCsvRow, writeWithBackpressure } = require('../utils/csv');
+
+// Rows above this are exported in the background
+const SYNC_EXPORT_LIMIT = parseInt(process.env.EXPORT_SYNC_LIMIT) || 5000;
+const EXPORT_TTL_MS = (parseInt(process.env.EXPORT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 30 * 1000;
+const LOCK_MS = 30 * 60 * 1000;
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const PARTY_COLUMNS = {
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    'address.street': 'Street',
+    'address.city': 'City',
+    'address.state': 'State',
+    'address.pincode': 'Pincode'
+};
+
+const partyColumns = (party, label) => Object.fromEntries(
+    Object.entries(PARTY_COLUMNS).map(([field, header]) => [`${party}.${field}`, `${label} ${header}`])
+);
+
+// Columns that can be exported, keyed by the name used in ?columns=
+const COLUMNS = {
+    trackingNumber: 'Tracking Number',
+    currentStatus: 'Status',
+    progress: 'Progress (%)',
+    createdAt: 'Created At',
+    ...partyColumns('sender', 'Sender'),
+    ...partyColumns('recipient', 'Recipient'),
+    'package.description': 'Package Description',
+    'package.category': 'Package Category',
+    'package.weight': 'Weight (kg)',
+    'package.dimensions.length': 'Length (cm)',
+    'package.dimensions.width': 'Width (cm)',
+    'package.dimensions.height': 'Height (cm)',
+    'package.value': 'Declared Value',
+    'package.isFragile': 'Fragile',
+    'package.requiresSignature': 'Signature Required',
+    'service.type': 'Service Type',
+    'service.priority': 'Priority',
+    'service.zone': 'Zone',
+    'service.cost': 'Cost',
+    'service.chargeableWeight': 'Chargeable Weight (kg)',
+    'service.estimatedDelivery': 'Estimated Delivery',
+    'service.insurance.isInsured': 'Insured',
+    'service.insurance.coverage': 'Insurance Coverage',
+    paymentMethod: 'Payment Method',
+    paymentStatus: 'Payment Status',
+    deliveryAttempts: 'Delivery Attempts',
+    assignedAgent: 'Assigned Agent ID',
+    deliveredAt: 'Delivered At',
+    cancelledAt: 'Cancelled At',
+    cancellationReason: 'Cancellation Reason',
+    'latestEvent.status': 'Latest Event Status',
+    'latestEvent.location': 'Latest Event Location',
+    'latestEvent.description': 'Latest Event Description',
+    'latestEvent.timestamp': 'Latest Event Time'
+};
+
+const DEFAULT_COLUMNS = [
+    'trackingNumber',
+    'currentStatus',
+    'createdAt',
+    'sender.name',
+    'sender.address.city',
+    'recipient.name',
+    'recipient.phone',
+    'recipient.address.city',
+    'recipient.address.pincode',
+    'service.type',
+    'service.cost',
+    'service.estimatedDelivery',
+    'paymentMethod',
+    'paymentStatus',
+    'latestEvent.status',
+    'latestEvent.timestamp'
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const columnValue = (shipment, column) => {
+    const value = column.startsWith('latestEvent.')
+        ? getPath((shipment.tracking || []).slice(-1)[0], column.slice('latestEvent.'.length))
+        : getPath(shipment, column);
+
+    // ObjectIds as plain strings
+    return value && value._bsontype ? value.toString() : value;
+};
+
+// Stream every shipment matching a filter to an output stream. Resolves to the row count.
+const writeShipmentExport = async ({ filter, columns, format }, output) => {
+    const fields = columns.filter(column => !column.startsWith('latestEvent.'));
+    let shipmentQuery = Shipment.find(filter).select(fields.join(' '));
+    if (fields.length < columns.length) shipmentQuery = shipmentQuery.slice('tracking', -1);
+
+    const cursor = shipmentQuery.sort({ createdAt: -1 }).lean().cursor();
+
+    let rowCount = 0;
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Shipments', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map(column => ({ header: COLUMNS[column], key: column, width: 20 }));
+
+        for await (const shipment of cursor) {
+            sheet.addRow(columns.map(column => columnValue(shipment, column))).commit();
+            rowCount++;
+            if (output.destroyed) break;
+        }
+
+        await sheet.commit();
+        await workbook.commit();
+        return rowCount;
+    }
+
+    await writeWithBackpressure(output, formatCsvRow(columns.map(column => COLUMNS[column])));
+
+    for await (const shipment of cursor) {
+        await writeWithBackpressure(output, formatCsvRow(columns.map(column => columnValue(shipment, column))));
+        rowCount++;
+        if (output.destroyed) break;
+    }
+
+    output.end();
+    return rowCount;
+};
+
+const exportFileName = (format) => `shipments-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+
+// Queue a background export for a user
+const queueExport = async (user, { params, columns, format }) => {
+    const job = await ExportJob.create({ user: user._id, params, columns, format });
+
+    setImmediate(() => processExportJobs().catch(error => console.error('Export worker error:', error)));
+
+    return job;
+};
+
+const runJob = async (job) => {
+    const user = await User.findById(job.user);
+    const fileKey = `exports/${job.user}/${job._id}.${FORMATS[job.format].extension}`;
+    let output;
+
+    try {
+        if (!user || !user.isActive) throw new Error('Export owner is no longer active');
+
+        output = await storage.createWriteStream(fileKey);
+        const finished = new Promise((resolve, reject) => {
+            output.on('finish', resolve);
+            output.on('error', reject);
+        });
+
+        // Awaited together so a storage error mid-export rejects straight away;
+        // the writer stops once the failed stream is destroyed
+        const [rowCount] = await Promise.all([
+            writeShipmentExport({
+                filter: buildSearchFilter(job.params, user),
+                columns: job.columns,
+                format: job.format
+            }, output),
+            finished
+        ]);
+
+        job.status = 'completed';
+        job.rowCount = rowCount;
+        job.fileKey = fileKey;
+        // Disk streams count bytesWritten, GridFS upload streams count length
+        job.fileSize = output.bytesWritten ?? output.length;
+        job.completedAt = new Date();
+        job.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+        job.lastError = undefined;
+    } catch (error) {
+        console.error(`Export job ${job._id} error:`, error);
+        if (output) output.destroy();
+        storage.remove(fileKey).catch(() => {});
+
+        job.lastError = error.message;
+        job.status = job.attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+    }
+
+    job.lockedUntil = undefined;
+    await job.save();
+};
+
+// Atomically claim the next queued job, including ones whose worker died mid-export
+const claimNext = () => {
+    const now = new Date();
+
+    return ExportJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued' },
+                { status: 'running', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'running', startedAt: now, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+// Delete files of exports past their expiry
+const expireOldExports = async () => {
+    const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lt: new Date() } }).limit(100);
+
+    for (const job of expired) {
+        await storage.remove(job.fileKey).catch(error => console.error('Export cleanup error:', error));
+        job.status = 'expired';
+        await job.save();
+    }
+};
+
+let processing = false;
+
+// Run queued exports one at a time; they are heavy on the database
+const processExportJobs = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        let job;
+        while ((job = await claimNext())) {
+            await runJob(job);
+        }
+        await expireOldExports();
+    } finally {
+        processing = false;
+    }
+};
+
+let workerTimer = null;
+
+const startExportWorker = () => {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(() => {
+        processExportJobs().catch(error => console.error('Export worker error:', error));
+    }, POLL_INTERVAL_MS);
+    workerTimer.unref();
+};
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    DEFAULT_COLUMNS,
+    SYNC_EXPORT_LIMIT,
+    writeShipmentExport,
+    exportFileName,
+    queueExport,
+    processExportJobs,
+    startExportWorker
+};
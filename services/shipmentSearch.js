@@ -0,0 +1,189 @@
+// Shipment search filters shared by the search and export endpoints.
+// Customers only ever match their own shipments; agents and admins can
+// search across all of them.
+
+const { query } = require('express-validator');
+const Shipment = require('../models/Shipment');
+
+const SERVICE_TYPES = Shipment.schema.path('service.type').enumValues;
+const PRIORITIES = Shipment.schema.path('service.priority').enumValues;
+const PAYMENT_STATUSES = Shipment.schema.path('paymentStatus').enumValues;
+
+// Sortable fields and the document path each one sorts on
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    estimatedDelivery: 'service.estimatedDelivery',
+    trackingNumber: 'trackingNumber'
+};
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'estimatedDelivery'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b" or repeated ?x=a&x=b both become ['a', 'b']
+const toList = (value) => [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+const listOf = (field, allowed) => query(field)
+    .optional()
+    .customSanitizer(toList)
+    .custom(values => values.every(value => allowed.includes(value)))
+    .withMessage(`${field} must be one or more of: ${allowed.join(', ')}`);
+
+const dateRange = (from, to, label) => [
+    query(from).optional().isISO8601().withMessage(`${from} must be a valid date`),
+    query(to).optional().isISO8601().withMessage(`${to} must be a valid date`)
+        .custom((value, { req }) => !req.query[from] || new Date(value) >= new Date(req.query[from]))
+        .withMessage(`${label} range end must not be before its start`)
+];
+
+const searchFilterRules = [
+    query('trackingNumber').optional().trim().toUpperCase().matches(/^[A-Z0-9]{1,12}$/).withMessage('Tracking number must be letters and digits'),
+    query('senderName').optional().isString().trim().isLength({ max: 100 }),
+    query('senderPhone').optional().matches(/^[0-9]{1,10}$/).withMessage('Sender phone must be up to 10 digits'),
+    query('senderEmail').optional().isString().trim().toLowerCase(),
+    query('recipientName').optional().isString().trim().isLength({ max: 100 }),
+    query('recipientPhone').optional().matches(/^[0-9]{1,10}$/).withMessage('Recipient phone must be up to 10 digits'),
+    query('recipientEmail').optional().isString().trim().toLowerCase(),
+    query('pincode').optional().matches(/^[0-9]{6}$/).withMessage('Pincode must be 6 digits'),
+    query('city').optional().isString().trim().isLength({ max: 100 }),
+    listOf('status', Shipment.STATUSES),
+    listOf('serviceType', SERVICE_TYPES),
+    listOf('priority', PRIORITIES),
+    listOf('paymentStatus', PAYMENT_STATUSES),
+    ...dateRange('createdFrom', 'createdTo', 'Creation date'),
+    ...dateRange('deliveryFrom', 'deliveryTo', 'Estimated delivery'),
+    ...dateRange('deliveredFrom', 'deliveredTo', 'Delivered date'),
+    query('delayed').optional().isBoolean().withMessage('delayed must be true or false'),
+    query('assignedAgent')
+        .optional()
+        .custom(value => value === 'unassigned' || /^[0-9a-f]{24}$/i.test(value))
+        .withMessage('assignedAgent must be an agent ID or "unassigned"')
+];
+
+const searchRules = [
+    ...searchFilterRules,
+    query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('cursor').optional().isString()
+];
+
+const range = (from, to) => {
+    const condition = {};
+    if (from) condition.$gte = new Date(from);
+    if (to) condition.$lte = new Date(to);
+    return condition;
+};
+
+// Build the MongoDB filter for a validated search query
+const buildSearchFilter = (params, user) => {
+    const conditions = [{ isActive: true }];
+
+    if (!['admin', 'agent'].includes(user.role)) {
+        conditions.push({
+            $or: [
+                { createdBy: user._id },
+                { 'sender.email': user.email },
+                { 'recipient.email': user.email }
+            ]
+        });
+    }
+
+    if (params.trackingNumber) conditions.push({ trackingNumber: new RegExp(`^${params.trackingNumber}`) });
+
+    ['sender', 'recipient'].forEach(party => {
+        const name = params[`${party}Name`];
+        const phone = params[`${party}Phone`];
+        const email = params[`${party}Email`];
+
+        if (name) conditions.push({ [`${party}.name`]: new RegExp(escapeRegex(name), 'i') });
+        if (phone) conditions.push({ [`${party}.phone`]: new RegExp(`^${phone}`) });
+        if (email) conditions.push({ [`${party}.email`]: new RegExp(escapeRegex(email)) });
+    });
+
+    if (params.pincode) {
+        conditions.push({
+            $or: [{ 'sender.address.pincode': params.pincode }, { 'recipient.address.pincode': params.pincode }]
+        });
+    }
+    if (params.city) {
+        const city = new RegExp(`^${escapeRegex(params.city)}$`, 'i');
+        conditions.push({ $or: [{ 'sender.address.city': city }, { 'recipient.address.city': city }] });
+    }
+
+    if (params.status) conditions.push({ currentStatus: { $in: params.status } });
+    if (params.serviceType) conditions.push({ 'service.type': { $in: params.serviceType } });
+    if (params.priority) conditions.push({ 'service.priority': { $in: params.priority } });
+    if (params.paymentStatus) conditions.push({ paymentStatus: { $in: params.paymentStatus } });
+
+    if (params.createdFrom || params.createdTo) {
+        conditions.push({ createdAt: range(params.createdFrom, params.createdTo) });
+    }
+    if (params.deliveryFrom || params.deliveryTo) {
+        conditions.push({ 'service.estimatedDelivery': range(params.deliveryFrom, params.deliveryTo) });
+    }
+    if (params.deliveredFrom || params.deliveredTo) {
+        conditions.push({ deliveredAt: range(params.deliveredFrom, params.deliveredTo) });
+    }
+
+    // Delayed: still open and past the estimated delivery
+    if (params.delayed === true || params.delayed === 'true') {
+        conditions.push({
+            currentStatus: { $in: Shipment.OPEN_STATUSES },
+            'service.estimatedDelivery': { $lt: new Date() }
+        });
+    }
+
+    if (params.assignedAgent && ['admin', 'agent'].includes(user.role)) {
+        conditions.push({ assignedAgent: params.assignedAgent === 'unassigned' ? null : params.assignedAgent });
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// Cursors carry the last row's sort value and ID, so pages stay stable
+// while new shipments are being booked
+const encodeCursor = (shipment, sort) => {
+    const value = shipment.get(SORT_FIELDS[sort]);
+    return Buffer.from(JSON.stringify([value, shipment._id])).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!/^[0-9a-f]{24}$/i.test(id) || value === null || value === undefined) return null;
+
+        const typed = DATE_SORT_FIELDS.includes(sort) ? new Date(value) : String(value);
+        if (typed instanceof Date && isNaN(typed)) return null;
+
+        return { value: typed, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Condition selecting the rows after a cursor in the given sort order
+const afterCursor = ({ value, id }, sort, order) => {
+    const path = SORT_FIELDS[sort];
+    const op = order === 'asc' ? '$gt' : '$lt';
+
+    return {
+        $or: [
+            { [path]: { [op]: value } },
+            { [path]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+module.exports = {
+    SERVICE_TYPES,
+    SORT_FIELDS,
+    listOf,
+    dateRange,
+    searchFilterRules,
+    searchRules,
+    buildSearchFilter,
+    encodeCursor,
+    decodeCursor,
+    afterCursor
+};
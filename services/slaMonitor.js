@@ -0,0 +1,185 @@
+// Scheduled SLA monitor. Open shipments past their estimated delivery, or
+// without a tracking event for too long for their service type, are flagged
+// with an SLA breach, get an Exception tracking event and their assigned
+// agent (or the admins, if unassigned) is alerted. Customers are told an
+// overdue shipment is delayed, and get the usual exception message otherwise.
+//
+// Every replica runs the timer, but only the one holding the Mongo lease
+// scans. Each shipment is also flagged with a conditional update, so a
+// shipment is only ever escalated once per breach.
+
+const os = require('os');
+const Shipment = require('../models/Shipment');
+const User = require('../models/User');
+const JobLock = require('../models/JobLock');
+const { notifyStaff } = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+const SCAN_INTERVAL_MS = (parseInt(process.env.SLA_SCAN_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const LOCK_NAME = 'sla-monitor';
+const LOCK_MS = 2 * SCAN_INTERVAL_MS;
+const MAX_ESCALATIONS_PER_SCAN = 500;
+const LOCK_OWNER = `${os.hostname()}:${process.pid}`;
+
+// Hours without a tracking event before a shipment counts as stalled
+const DEFAULT_STALL_HOURS = {
+    'hyperlocal': 3,
+    'same-day': 8,
+    'next-day': 24,
+    'express': 24,
+    'standard': 48,
+    'economy': 72
+};
+
+// SLA_STALL_HOURS overrides the defaults, e.g. "standard=36,economy=96"
+const parseStallHours = (value = '') => value.split(',').reduce((hours, pair) => {
+    const [serviceType, limit] = pair.split('=').map(part => part.trim());
+    if (DEFAULT_STALL_HOURS[serviceType] && parseFloat(limit) > 0) {
+        hours[serviceType] = parseFloat(limit);
+    }
+    return hours;
+}, { ...DEFAULT_STALL_HOURS });
+
+const STALL_HOURS = parseStallHours(process.env.SLA_STALL_HOURS);
+
+// Shipments with no breach, or only a resolved one
+const withoutOpenBreach = {
+    $or: [
+        { 'slaBreach.detectedAt': null },
+        { 'slaBreach.resolvedAt': { $ne: null } }
+    ]
+};
+
+const openShipments = {
+    isActive: true,
+    currentStatus: { $in: Shipment.OPEN_STATUSES }
+};
+
+const overdueFilter = (now) => ({
+    ...openShipments,
+    'service.estimatedDelivery': { $lt: now },
+    ...withoutOpenBreach
+});
+
+const stalledFilter = (now) => ({
+    ...openShipments,
+    ...withoutOpenBreach,
+    $and: [{
+        $or: Object.entries(STALL_HOURS).map(([serviceType, hours]) => ({
+            'service.type': serviceType,
+            $expr: {
+                $lt: [
+                    { $ifNull: [{ $max: '$tracking.timestamp' }, '$createdAt'] },
+                    new Date(now.getTime() - hours * HOUR)
+                ]
+            }
+        }))
+    }]
+});
+
+const BREACH_DESCRIPTIONS = {
+    overdue: () => 'Shipment is past its estimated delivery date. Our team has been alerted and is working to deliver it.',
+    stalled: (shipment) => `No tracking update for over ${STALL_HOURS[shipment.service.type]} hours. Our team has been alerted and is investigating.`
+};
+
+// The assigned agent, or every active admin when nobody is assigned
+const getEscalationContacts = async (shipment, getAdmins) => {
+    if (shipment.assignedAgent) {
+        const agent = await User.findById(shipment.assignedAgent);
+        if (agent && agent.isActive) return [agent];
+    }
+
+    return getAdmins();
+};
+
+// Flag one shipment, add the Exception event and alert staff. Resolves to
+// false when the shipment was already flagged by another replica or scan.
+const escalate = async (shipmentId, reason, now, getAdmins) => {
+    const shipment = await Shipment.findOneAndUpdate(
+        { _id: shipmentId, ...withoutOpenBreach },
+        { $set: { slaBreach: { reason, detectedAt: now } } },
+        { new: true }
+    );
+    if (!shipment) return false;
+
+    // Alert staff before the Exception event so the alert quotes the last real scan
+    const contacts = await getEscalationContacts(shipment, getAdmins);
+    await notifyStaff(shipment, 'sla_breach', contacts);
+
+    const lastEvent = shipment.tracking[shipment.tracking.length - 1];
+    shipment.slaBreach.notifiedAt = new Date();
+
+    await shipment.addTrackingEvent({
+        status: 'Exception',
+        location: (lastEvent && lastEvent.location) || 'TrackShip Operations',
+        description: BREACH_DESCRIPTIONS[reason](shipment),
+        slaBreach: reason,
+        timestamp: now
+    });
+
+    return true;
+};
+
+let scanning = false;
+
+// Scan for new SLA breaches. Resolves to the number of shipments escalated,
+// or null when another replica holds the lease.
+const runSlaScan = async () => {
+    if (scanning) return null;
+    scanning = true;
+
+    try {
+        if (!await JobLock.acquire(LOCK_NAME, LOCK_OWNER, LOCK_MS)) return null;
+
+        const now = new Date();
+        let escalated = 0;
+
+        // Looked up at most once per scan, so admin changes apply from the next one
+        let admins = null;
+        const getAdmins = () => (admins = admins || User.find({ role: 'admin', isActive: true }));
+
+        for (const [reason, filter] of [['overdue', overdueFilter(now)], ['stalled', stalledFilter(now)]]) {
+            const candidates = await Shipment.find(filter)
+                .select('_id')
+                .sort({ 'service.estimatedDelivery': 1 })
+                .limit(MAX_ESCALATIONS_PER_SCAN - escalated)
+                .lean();
+
+            for (const { _id } of candidates) {
+                try {
+                    if (await escalate(_id, reason, now, getAdmins)) escalated++;
+                } catch (error) {
+                    console.error(`SLA escalation error for shipment ${_id}:`, error);
+                }
+            }
+
+            if (escalated >= MAX_ESCALATIONS_PER_SCAN) break;
+        }
+
+        if (escalated > 0) {
+            console.log(`SLA monitor escalated ${escalated} shipment(s)`);
+        }
+        return escalated;
+    } finally {
+        scanning = false;
+    }
+};
+
+let monitorTimer = null;
+
+const startSlaMonitor = () => {
+    if (monitorTimer) return;
+
+    monitorTimer = setInterval(() => {
+        runSlaScan().catch(error => console.error('SLA monitor error:', error));
+    }, SCAN_INTERVAL_MS);
+    monitorTimer.unref();
+
+    setImmediate(() => runSlaScan().catch(error => console.error('SLA monitor error:', error)));
+};
+
+module.exports = {
+    STALL_HOURS,
+    runSlaScan,
+    startSlaMonitor
+};
@@ -0,0 +1,119 @@
+// File storage for uploaded documents such as proof-of-delivery images and
+// generated exports. Drivers implement save(key, buffer, contentType),
+// createWriteStream(key), read(key), exists(key) and remove(key).
+//
+// The default driver keeps files in MongoDB GridFS so every replica sees the
+// same files. STORAGE_DRIVER=local stores them on disk under UPLOAD_DIR, which
+// only suits a single instance. Neither location is served statically; files
+// are only reachable through the authenticated routes that read them.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const createLocalDiskStorage = (rootDir) => {
+    const root = path.resolve(rootDir);
+
+    // Keep every key inside the storage root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+            return key;
+        },
+
+        // Resolves to a writable stream for large generated files
+        async createWriteStream(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            return fs.createWriteStream(filePath);
+        },
+
+        read(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolveKey(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+// Keys are GridFS file names; saving a key again replaces the previous file
+const createGridFsStorage = (bucketName) => {
+    // The connection is opened after this module loads, so create the bucket on use
+    const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+    const findIds = async (key) => {
+        const files = await bucket().find({ filename: key }, { projection: { _id: 1 } }).toArray();
+        return files.map(file => file._id);
+    };
+
+    const remove = async (key) => {
+        for (const id of await findIds(key)) {
+            await bucket().delete(id);
+        }
+    };
+
+    const openUpload = async (key, contentType) => {
+        await remove(key);
+        return bucket().openUploadStream(key, contentType ? { metadata: { contentType } } : {});
+    };
+
+    return {
+        async save(key, buffer, contentType) {
+            const upload = await openUpload(key, contentType);
+            await new Promise((resolve, reject) => {
+                upload.on('error', reject);
+                upload.end(buffer, resolve);
+            });
+            return key;
+        },
+
+        createWriteStream(key) {
+            return openUpload(key);
+        },
+
+        // Streams the newest revision; emits an error if the file does not exist
+        read(key) {
+            return bucket().openDownloadStreamByName(key);
+        },
+
+        async exists(key) {
+            return (await findIds(key)).length > 0;
+        },
+
+        remove
+    };
+};
+
+const drivers = {
+    gridfs: () => createGridFsStorage(process.env.GRIDFS_BUCKET || 'uploads'),
+    local: () => createLocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'gridfs';
+
+if (!drivers[driverName]) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
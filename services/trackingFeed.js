@@ -0,0 +1,134 @@
+// Live tracking events for open SSE streams, from every server instance.
+// A MongoDB change stream reports shipment updates saved by any replica; on a
+// standalone MongoDB server, which has no change streams, the subscribed
+// shipments are polled instead. Events saved by this instance are also passed
+// on straight away, and each subscriber gets every event once.
+
+const Shipment = require('../models/Shipment');
+const shipmentEvents = require('./shipmentEvents');
+
+const POLL_INTERVAL_MS = 3 * 1000;
+const RETRY_DELAY_MS = 5 * 1000;
+// Polls overlap by this much so clock drift between replicas can't hide an update
+const POLL_OVERLAP_MS = 5 * 1000;
+const CHANGE_STREAMS_UNSUPPORTED = 40573;
+
+// Shipment ID -> subscriber callbacks
+const subscribers = new Map();
+
+let changeStream = null;
+let pollTimer = null;
+let retryTimer = null;
+let lastPolledAt = null;
+let useChangeStream = true;
+
+// Hand a saved shipment to its subscribers
+const publish = (shipment) => {
+    const callbacks = subscribers.get(shipment._id.toString());
+    if (callbacks) callbacks.forEach(callback => callback(shipment));
+};
+
+const publishById = async (id) => {
+    if (!subscribers.has(id.toString())) return;
+
+    const shipment = await Shipment.findById(id);
+    if (shipment) publish(shipment);
+};
+
+const touchesTracking = (change) => change.operationType === 'replace' ||
+    Object.keys((change.updateDescription && change.updateDescription.updatedFields) || {})
+        .some(field => field === 'tracking' || field.startsWith('tracking.'));
+
+const pollSubscribed = async () => {
+    const since = lastPolledAt;
+    lastPolledAt = new Date();
+
+    const ids = [...subscribers.keys()];
+    if (ids.length === 0) return;
+
+    const updated = await Shipment.find({
+        _id: { $in: ids },
+        updatedAt: { $gte: new Date(since.getTime() - POLL_OVERLAP_MS) }
+    });
+    updated.forEach(publish);
+};
+
+const stopFeed = () => {
+    if (changeStream) changeStream.close().catch(() => {});
+    clearInterval(pollTimer);
+    clearTimeout(retryTimer);
+    changeStream = null;
+    pollTimer = null;
+    retryTimer = null;
+};
+
+const startPolling = () => {
+    lastPolledAt = new Date();
+    pollTimer = setInterval(() => {
+        pollSubscribed().catch(error => console.error('Tracking feed poll error:', error));
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+};
+
+const startFeed = () => {
+    if (changeStream || pollTimer || retryTimer) return;
+    if (!useChangeStream) return startPolling();
+
+    changeStream = Shipment.watch([{ $match: { operationType: { $in: ['update', 'replace'] } } }]);
+
+    changeStream.on('change', (change) => {
+        if (!touchesTracking(change)) return;
+        publishById(change.documentKey._id).catch(error => console.error('Tracking feed error:', error));
+    });
+
+    changeStream.on('error', (error) => {
+        changeStream = null;
+
+        if (error.code === CHANGE_STREAMS_UNSUPPORTED) {
+            console.warn('MongoDB change streams need a replica set; polling for tracking updates instead');
+            useChangeStream = false;
+        } else {
+            console.error('Tracking feed change stream error:', error);
+        }
+
+        // Reopen after a pause unless everyone has gone in the meantime
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            if (subscribers.size > 0) startFeed();
+        }, useChangeStream ? RETRY_DELAY_MS : 0);
+        retryTimer.unref();
+    });
+};
+
+shipmentEvents.on('tracking', ({ shipment }) => publish(shipment));
+
+// Call onEvent({ shipment, event }) for each tracking event added to a
+// shipment after this point. Returns a function that ends the subscription.
+const subscribeToTracking = (shipment, onEvent) => {
+    const id = shipment._id.toString();
+    const seen = new Set(shipment.tracking.map(event => event._id.toString()));
+
+    const callback = (updated) => {
+        updated.tracking
+            .filter(event => !seen.has(event._id.toString()))
+            .forEach(event => {
+                seen.add(event._id.toString());
+                onEvent({ shipment: updated, event });
+            });
+    };
+
+    if (!subscribers.has(id)) subscribers.set(id, new Set());
+    subscribers.get(id).add(callback);
+    startFeed();
+
+    return () => {
+        const callbacks = subscribers.get(id);
+        callbacks.delete(callback);
+        if (callbacks.size === 0) subscribers.delete(id);
+        if (subscribers.size === 0) stopFeed();
+    };
+};
+
+module.exports = {
+    subscribeToTracking
+};
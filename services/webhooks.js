@@ -0,0 +1,261 @@
+// Outbound webhooks for shipment lifecycle events. Deliveries are queued in
+// MongoDB and sent by a polling worker with exponential backoff; each request
+// is signed with the endpoint's secret.
+//
+// Signature header: X-TrackShip-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+
+const crypto = require('crypto');
+const { Agent, fetch } = require('undici');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const shipmentEvents = require('./shipmentEvents');
+const { assertPublicUrl, publicLookup } = require('../utils/network');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... ~1h in total
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_RESPONSE_BODY = 1000;
+
+// Connections only go to public addresses, checked on the address being dialled
+const dispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const buildShipmentPayload = (event, shipment, extra = {}) => ({
+    event,
+    createdAt: new Date().toISOString(),
+    data: {
+        shipmentId: shipment._id,
+        trackingNumber: shipment.trackingNumber,
+        currentStatus: shipment.currentStatus,
+        progress: shipment.progress,
+        estimatedDelivery: shipment.service.estimatedDelivery,
+        ...extra
+    }
+});
+
+// Queue a delivery for every active endpoint of the shipment's owner subscribed to the event
+const queueShipmentEvent = async (event, shipment, extra) => {
+    const endpoints = await WebhookEndpoint.find({
+        user: shipment.createdBy,
+        events: event,
+        isActive: true
+    }).select('_id');
+
+    if (endpoints.length === 0) return;
+
+    const payload = buildShipmentPayload(event, shipment, extra);
+
+    await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+        endpoint: endpoint._id,
+        event,
+        payload,
+        shipment: shipment._id
+    })));
+
+    setImmediate(() => processQueue().catch(error => console.error('Webhook queue error:', error)));
+};
+
+// POST a delivery to its endpoint and record the outcome on the delivery
+const sendDelivery = async (delivery, endpoint) => {
+    const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        // Checked again here for hosts given as IP addresses, which skip the lookup
+        await assertPublicUrl(endpoint.url);
+
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TrackShip-Webhooks/1.0',
+                'X-TrackShip-Event': delivery.event,
+                'X-TrackShip-Delivery': delivery._id.toString(),
+                'X-TrackShip-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, body)}`
+            },
+            body,
+            // A redirect could lead to an internal address, so it counts as a failed delivery
+            redirect: 'manual',
+            dispatcher,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        delivery.responseStatus = response.status;
+        delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+        delivery.lastError = response.ok ? undefined : `Endpoint responded with status ${response.status}`;
+        return response.ok;
+    } catch (error) {
+        delivery.responseStatus = undefined;
+        // fetch reports connection failures as "fetch failed" with the reason in cause
+        delivery.lastError = error.name === 'TimeoutError' ? 'Request timed out' : (error.cause || error).message;
+        return false;
+    } finally {
+        delivery.durationMs = Date.now() - startedAt;
+    }
+};
+
+const claimNext = () => {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const attemptDelivery = async (delivery) => {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+    let succeeded = false;
+
+    if (!endpoint || !endpoint.isActive) {
+        delivery.lastError = 'Endpoint deleted or disabled';
+        delivery.attempts = MAX_ATTEMPTS;
+    } else {
+        succeeded = await sendDelivery(delivery, endpoint);
+    }
+
+    if (succeeded) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+    } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (delivery.attempts - 1));
+    }
+
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+
+    if (endpoint && delivery.status !== 'pending') {
+        await WebhookEndpoint.updateOne({ _id: endpoint._id }, {
+            lastDeliveryAt: new Date(),
+            lastDeliveryStatus: delivery.status
+        });
+    }
+
+    return delivery;
+};
+
+let processing = false;
+
+const processQueue = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const delivery = await claimNext();
+            if (!delivery) break;
+            await attemptDelivery(delivery);
+        }
+    } finally {
+        processing = false;
+    }
+};
+
+// Queue a copy of an earlier delivery with the same payload
+const replayDelivery = async (delivery) => {
+    const replay = await WebhookDelivery.create({
+        endpoint: delivery.endpoint,
+        event: delivery.event,
+        payload: delivery.payload,
+        shipment: delivery.shipment,
+        replayOf: delivery._id
+    });
+
+    setImmediate(() => processQueue().catch(error => console.error('Webhook queue error:', error)));
+    return replay;
+};
+
+// Send a ping to an endpoint right away and log it like any other delivery
+const pingEndpoint = async (endpoint) => {
+    const delivery = new WebhookDelivery({
+        endpoint: endpoint._id,
+        event: 'ping',
+        payload: {
+            event: 'ping',
+            createdAt: new Date().toISOString(),
+            data: { message: 'Webhook endpoint test from TrackShip India' }
+        },
+        attempts: 1
+    });
+
+    const succeeded = await sendDelivery(delivery, endpoint);
+    delivery.status = succeeded ? 'succeeded' : 'failed';
+    if (succeeded) delivery.deliveredAt = new Date();
+    await delivery.save();
+
+    return delivery;
+};
+
+const onCreated = ({ shipment }) => {
+    queueShipmentEvent('shipment.created', shipment).catch(error => {
+        console.error('Queue webhook error:', error);
+    });
+};
+
+const onTracking = ({ shipment, event, previousStatus }) => {
+    const extra = {
+        previousStatus,
+        event: {
+            status: event.status,
+            location: event.location,
+            description: event.description,
+            reasonCode: event.reasonCode,
+            timestamp: event.timestamp
+        }
+    };
+
+    const events = [];
+    if (event.status !== previousStatus) events.push('shipment.status_changed');
+    if (event.status === 'Delivered') events.push('shipment.delivered');
+    if (event.status === 'Exception') events.push('shipment.exception');
+
+    events.forEach(name => {
+        queueShipmentEvent(name, shipment, extra).catch(error => {
+            console.error('Queue webhook error:', error);
+        });
+    });
+};
+
+let workerTimer = null;
+
+const startWebhookWorker = () => {
+    if (workerTimer) return;
+
+    shipmentEvents.on('created', onCreated);
+    shipmentEvents.on('tracking', onTracking);
+
+    workerTimer = setInterval(() => {
+        processQueue().catch(error => console.error('Webhook queue error:', error));
+    }, POLL_INTERVAL_MS);
+    workerTimer.unref();
+};
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    replayDelivery,
+    pingEndpoint,
+    processQueue,
+    startWebhookWorker
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { readCsvRows, parseCsvLine } = require('../utils/csv');
+
+const readAll = async (chunks) => {
+    const rows = [];
+    for await (const row of readCsvRows(Readable.from(chunks.map(chunk => Buffer.from(chunk))))) {
+        rows.push(row);
+    }
+    return rows;
+};
+
+test('quoted fields can contain commas, quotes and line breaks', async () => {
+    const rows = await readAll([
+        '﻿name,address\r\n',
+        '"Sharma, Rahul","Flat 4,\r\nMG Road ""East"""\r\n',
+        'Priya,Indiranagar\n'
+    ]);
+
+    assert.deepStrictEqual(rows, [
+        { line: 2, row: { name: 'Sharma, Rahul', address: 'Flat 4,\r\nMG Road "East"' } },
+        { line: 4, row: { name: 'Priya', address: 'Indiranagar' } }
+    ]);
+});
+
+test('records split across chunks are joined', async () => {
+    const rows = await readAll(['a,b\r', '\n"x', '""y",', 'z\r', '\n\n1,2']);
+
+    assert.deepStrictEqual(rows, [
+        { line: 2, row: { a: 'x"y', b: 'z' } },
+        { line: 4, row: { a: '1', b: '2' } }
+    ]);
+});
+
+test('an unclosed quote is reported with its line', async () => {
+    await assert.rejects(readAll(['a,b\n1,2\n"open,3\n4,5\n']), { name: 'CsvParseError', line: 3 });
+});
+
+test('parseCsvLine splits a single line', () => {
+    assert.deepStrictEqual(parseCsvLine(' a ,"b,c",'), ['a', 'b,c', '']);
+});
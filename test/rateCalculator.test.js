@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getZone, quoteInputFromShipment } = require('../services/rateCalculator');
+
+test('Lakshadweep pincodes are in the special zone', () => {
+    ['682551', '682555', '682559'].forEach(pincode => {
+        assert.strictEqual(getZone('400001', pincode), 'special');
+    });
+});
+
+test('Kochi pincodes sharing the 682 prefix are not special', () => {
+    ['682001', '682550', '682560'].forEach(pincode => {
+        assert.notStrictEqual(getZone('400001', pincode), 'special');
+    });
+});
+
+test('quote input parses boolean flags explicitly', () => {
+    const shipment = (isFragile, isInsured) => ({
+        sender: { address: { pincode: '400001' } },
+        recipient: { address: { pincode: '110001' } },
+        service: { type: 'standard', insurance: { isInsured } },
+        package: { weight: 1, dimensions: { length: 10, width: 10, height: 10 }, value: 500, isFragile }
+    });
+
+    [[true, true], ['true', true], [false, false], ['false', false], [undefined, false]].forEach(([value, expected]) => {
+        const input = quoteInputFromShipment(shipment(value, value));
+        assert.strictEqual(input.isFragile, expected);
+        assert.strictEqual(input.isInsured, expected);
+    });
+});
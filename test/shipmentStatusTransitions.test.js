@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Shipment = require('../models/Shipment');
+
+const STATUSES = ['Order Placed', 'In Transit', 'Out for Delivery', 'Delivered', 'Returned', 'Cancelled', 'Exception'];
+
+// Every edge a shipment may take without an admin override, written out by
+// hand so a change to the model's table has to be made here as well
+const ALLOWED = {
+    'Order Placed': ['Order Placed', 'In Transit', 'Cancelled', 'Exception'],
+    'In Transit': ['In Transit', 'Out for Delivery', 'Returned', 'Exception'],
+    'Out for Delivery': ['In Transit', 'Delivered', 'Exception'],
+    'Delivered': [],
+    'Returned': [],
+    'Cancelled': [],
+    'Exception': ['In Transit', 'Out for Delivery', 'Returned', 'Cancelled', 'Exception']
+};
+
+const EDGES = STATUSES.flatMap(from => STATUSES.map(to => ({ from, to, allowed: ALLOWED[from].includes(to) })));
+
+test('transition table covers every status', () => {
+    assert.deepStrictEqual(Object.keys(Shipment.STATUS_TRANSITIONS).sort(), [...STATUSES].sort());
+    assert.deepStrictEqual(Shipment.schema.path('currentStatus').enumValues.slice().sort(), [...STATUSES].sort());
+});
+
+test('open statuses are the ones with outgoing transitions', () => {
+    assert.deepStrictEqual(Shipment.OPEN_STATUSES, ['Order Placed', 'In Transit', 'Out for Delivery', 'Exception']);
+});
+
+for (const { from, to, allowed } of EDGES) {
+    test(`${from} -> ${to} is ${allowed ? 'allowed' : 'forbidden'}`, async () => {
+        const shipment = new Shipment({ currentStatus: from });
+        assert.strictEqual(shipment.canTransitionTo(to), allowed);
+
+        if (!allowed) {
+            await assert.rejects(
+                shipment.addTrackingEvent({ status: to, location: 'Mumbai Hub', description: 'Status update' }),
+                { name: 'InvalidStatusTransition', status: 409, allowedStatuses: ALLOWED[from] }
+            );
+            assert.strictEqual(shipment.currentStatus, from);
+        }
+    });
+}
@@ -0,0 +1,99 @@
+// Delivery business hours: 9:00-18:00 Indian Standard Time, Monday to
+// Saturday, excluding holidays. Holidays are the national holidays below
+// plus any dates listed in DELIVERY_HOLIDAYS (comma-separated YYYY-MM-DD).
+
+const HOUR = 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * HOUR;
+const OPENING_HOUR = 9;
+const CLOSING_HOUR = 18;
+const BUSINESS_DAY_HOURS = CLOSING_HOUR - OPENING_HOUR;
+
+// Republic Day, Independence Day and Gandhi Jayanti fall on the same date every year
+const NATIONAL_HOLIDAYS = ['01-26', '08-15', '10-02'];
+
+const EXTRA_HOLIDAYS = new Set(
+    (process.env.DELIVERY_HOLIDAYS || '').split(',').map(date => date.trim()).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+);
+
+// Dates are handled as "IST wall clock" Dates: shifted by the offset and read with getUTC*
+const toLocal = (date) => new Date(date.getTime() + IST_OFFSET_MS);
+const fromLocal = (local) => new Date(local.getTime() - IST_OFFSET_MS);
+
+const isBusinessDay = (local) => {
+    const day = local.toISOString().slice(0, 10);
+    return local.getUTCDay() !== 0 &&
+        !NATIONAL_HOLIDAYS.includes(day.slice(5)) &&
+        !EXTRA_HOLIDAYS.has(day);
+};
+
+const atHour = (local, hour) => {
+    const moved = new Date(local);
+    moved.setUTCHours(hour, 0, 0, 0);
+    return moved;
+};
+
+const nextOpening = (local) => {
+    const day = atHour(local, OPENING_HOUR);
+    do {
+        day.setUTCDate(day.getUTCDate() + 1);
+    } while (!isBusinessDay(day));
+    return day;
+};
+
+// The date itself if it falls within business hours, otherwise the next opening time
+const nextBusinessTime = (date) => {
+    const local = toLocal(date);
+
+    if (isBusinessDay(local) && local < atHour(local, CLOSING_HOUR)) {
+        const opening = atHour(local, OPENING_HOUR);
+        return fromLocal(local < opening ? opening : local);
+    }
+    return fromLocal(nextOpening(local));
+};
+
+// Closing time (18:00 IST) on the IST calendar day a date falls on, optionally some days later
+const closingTimeOn = (date, daysLater = 0) => {
+    const closing = atHour(toLocal(date), CLOSING_HOUR);
+    closing.setUTCDate(closing.getUTCDate() + daysLater);
+    return fromLocal(closing);
+};
+
+// Move a date forward by a number of business hours
+const addBusinessHours = (date, hours) => {
+    let local = toLocal(nextBusinessTime(date));
+    let remaining = hours * HOUR;
+
+    for (;;) {
+        const closing = atHour(local, CLOSING_HOUR);
+        const available = closing - local;
+
+        if (remaining <= available) {
+            return fromLocal(new Date(local.getTime() + remaining));
+        }
+        remaining -= available;
+        local = nextOpening(local);
+    }
+};
+
+// Business hours elapsed between two dates (zero if end is not after start)
+const businessHoursBetween = (start, end) => {
+    let local = toLocal(nextBusinessTime(start));
+    const finish = toLocal(end);
+    let total = 0;
+
+    while (local < finish) {
+        const closing = atHour(local, CLOSING_HOUR);
+        total += Math.min(closing, finish) - local;
+        local = nextOpening(local);
+    }
+    return total / HOUR;
+};
+
+module.exports = {
+    BUSINESS_DAY_HOURS,
+    isBusinessDay: (date) => isBusinessDay(toLocal(date)),
+    nextBusinessTime,
+    closingTimeOn,
+    addBusinessHours,
+    businessHoursBetween
+};
@@ -0,0 +1,183 @@
+const { StringDecoder } = require('string_decoder');
+
+// Longest record accepted, so an unclosed quote can't buffer the rest of the file
+const MAX_RECORD_LENGTH = 1024 * 1024;
+
+const csvParseError = (message, line) => {
+    const error = new Error(`${message} (line ${line})`);
+    error.name = 'CsvParseError';
+    error.line = line;
+    return error;
+};
+
+// Incremental RFC 4180 parser. Quoted fields may contain commas, doubled
+// quotes and line breaks, so a record can span several lines. push(text)
+// returns the records completed so far as { line, fields }, where line is
+// the line the record starts on; end() returns the last one.
+const createCsvParser = () => {
+    let fields = [];
+    let current = '';
+    let recordLength = 0;
+    let inQuotes = false;
+    let quotePending = false; // a quote inside a quoted field: closing or escaped?
+    let skipLineFeed = false;
+    let line = 1;
+    let recordLine = 1;
+    let records = [];
+
+    const endField = () => {
+        fields.push(current.trim());
+        current = '';
+    };
+
+    const endRecord = () => {
+        endField();
+        // Blank lines are skipped
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        recordLength = 0;
+    };
+
+    const push = (text) => {
+        for (const char of text) {
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (++recordLength > MAX_RECORD_LENGTH) {
+                throw csvParseError('Record is too long; check for a missing closing quote', recordLine);
+            }
+
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    current += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    quotePending = true;
+                } else {
+                    if (char === '\n') line++;
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRecord();
+                skipLineFeed = char === '\r';
+                line++;
+                recordLine = line;
+            } else {
+                current += char;
+            }
+        }
+
+        const completed = records;
+        records = [];
+        return completed;
+    };
+
+    const end = () => {
+        if (inQuotes && !quotePending) {
+            throw csvParseError('Quoted field is never closed', recordLine);
+        }
+        quotePending = false;
+        inQuotes = false;
+        if (fields.length > 0 || current !== '') endRecord();
+
+        const completed = records;
+        records = [];
+        return completed;
+    };
+
+    return { push, end };
+};
+
+// Split a single CSV line into fields, honouring double-quoted values
+const parseCsvLine = (line) => {
+    const parser = createCsvParser();
+    const [record] = [...parser.push(line), ...parser.end()];
+    return record ? record.fields : [''];
+};
+
+// Read a CSV stream record by record without buffering the whole file.
+// Yields { line, row } where row is keyed by the header names and line is
+// where the record starts. Malformed input throws a CsvParseError.
+async function* readCsvRows(stream) {
+    const parser = createCsvParser();
+    const decoder = new StringDecoder('utf8');
+    let headers = null;
+    let first = true;
+
+    const toRows = function* (records) {
+        for (const { line, fields } of records) {
+            if (!headers) {
+                headers = fields;
+                continue;
+            }
+
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = fields[index] !== undefined ? fields[index] : '';
+            });
+
+            yield { line, row };
+        }
+    };
+
+    for await (const chunk of stream) {
+        let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        if (first && text) {
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        yield* toRows(parser.push(text));
+    }
+
+    yield* toRows(parser.push(decoder.end()));
+    yield* toRows(parser.end());
+}
+
+// Quote a value for CSV output. Values that spreadsheet apps would run as
+// formulas get a leading apostrophe.
+const formatCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including the trailing line break
+const formatCsvRow = (values) => values.map(formatCsvValue).join(',') + '\r\n';
+
+// Write a chunk, waiting for a slow reader to catch up (or go away)
+const writeWithBackpressure = (stream, chunk) => new Promise(resolve => {
+    if (stream.write(chunk)) return resolve();
+
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+module.exports = {
+    parseCsvLine,
+    readCsvRows,
+    formatCsvValue,
+    formatCsvRow,
+    writeWithBackpressure
+};
@@ -0,0 +1,87 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254),
+// carrier-grade NAT and other non-routable ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return !BLOCKED_RANGES.check(mapped[1], 'ipv4');
+
+    return !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Resolve a URL's host and reject it unless every address it resolves to is
+// public. Run it when the URL is saved and again right before each request,
+// since the DNS record can change in between.
+const assertPublicUrl = async (url) => {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new Error(`Could not resolve host ${host}`);
+    }
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        throw new Error(`Host ${host} resolves to a private or reserved address`);
+    }
+};
+
+// dns.lookup replacement for outgoing connections that fails unless every
+// resolved address is public. Passed as the socket's lookup, it checks the
+// addresses actually dialled, so a host re-pointed to an internal address
+// after assertPublicUrl ran (DNS rebinding) still can't be reached.
+const publicLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            const blocked = new Error(`Host ${hostname} resolves to a private or reserved address`);
+            blocked.code = 'EADDRNOTAVAIL';
+            return callback(blocked);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = {
+    isPublicAddress,
+    assertPublicUrl,
+    publicLookup
+};
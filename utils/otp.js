@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+const getSecret = () => process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+// Generate a random numeric code of the given length
+const generateNumericCode = (length = 6) => {
+    return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+// Codes are stored as keyed hashes so a database leak doesn't reveal them
+const hashCode = (code) => {
+    return crypto.createHmac('sha256', getSecret()).update(String(code)).digest('hex');
+};
+
+const compareCode = (code, hash) => {
+    if (!code || !hash) return false;
+
+    const candidate = Buffer.from(hashCode(code), 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+module.exports = {
+    generateNumericCode,
+    hashCode,
+    compareCode
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy and similar apps.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const bits = input.toUpperCase().replace(/[\s=]/g, '').split('').map(char => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        return index.toString(2).padStart(5, '0');
+    }).join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value for a secret at a given time step
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return value.toString().padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and one step either side for clock
+// drift. Returns the matching step so callers can refuse replays, or null.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    if (!/^\d{6}$/.test(String(code || ''))) return null;
+
+    const now = currentStep(time);
+    for (let step = now - window; step <= now + window; step++) {
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for authenticator app QR codes
+const buildOtpauthUrl = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl
+};